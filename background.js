@@ -1,51 +1,54 @@
 /* background.js
- * MV3 service worker: Toggle/open the on-page Copilot panel when the extension action is clicked.
+ * MV3 service worker: Toggle/open the on-page Copilot panel on the "toggle-panel"
+ * keyboard command (the extension action opens popup.html, which has its own
+ * panel button).
  * - Tries to toggle first (if supported by the content script), then falls back to opening.
  * - If the content script hasn't populated yet, triggers a refresh and then opens.
+ * - Messages to the page use protocol.js (versioned requests, { ok, error } responses).
+ * - Registers the content script on the GitHub Enterprise hosts added in options.
+ * - Batch mode: collects the selection of every open PR tab into one prompt for the popup.
+ * - Relays GitHub API requests for the content script (host permissions, no page CORS):
+ *   review comments, the PR head commit and file contents, against the API of the
+ *   tab's host (api.github.com or an Enterprise host's /api/v3).
+ * - Streams "Send to model" requests to the configured LLM endpoint over a port.
+ * - Saves exported review files (and zip bundles) with chrome.downloads.
  */
 
+importScripts(
+  "protocol.js",
+  "settings.js",
+  "github-api.js",
+  "llm.js",
+  "zip.js",
+);
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-// Send a message to a tab, swallow errors, and resolve with the response or null.
-function sendMessageSafe(tabId, message) {
-  return new Promise((resolve) => {
-    try {
-      chrome.tabs.sendMessage(tabId, message, (resp) => {
-        if (chrome.runtime.lastError) {
-          resolve(null);
-          return;
-        }
-        resolve(resp ?? {});
-      });
-    } catch {
-      resolve(null);
-    }
-  });
-}
-
 async function toggleOrOpenPanel(tabId) {
+  const { sendToTab } = CRTPProtocol;
+
   // 1) Try toggle
-  const toggleResp = await sendMessageSafe(tabId, { type: "CRTP_TOGGLE_PANEL" });
-  if (toggleResp) return true;
+  const toggleResp = await sendToTab(tabId, "CRTP_TOGGLE_PANEL");
+  if (toggleResp.ok) return true;
 
   // 2) Try open
-  const openResp = await sendMessageSafe(tabId, { type: "CRTP_OPEN_PANEL" });
-  if (openResp) return true;
+  const openResp = await sendToTab(tabId, "CRTP_OPEN_PANEL");
+  if (openResp.ok) return true;
 
   // 3) Try refresh then open
-  const refreshResp = await sendMessageSafe(tabId, { type: "CRTP_REFRESH" });
-  if (refreshResp) {
+  const refreshResp = await sendToTab(tabId, "CRTP_REFRESH");
+  if (refreshResp.ok) {
     await sleep(200);
-    const openAfterRefresh = await sendMessageSafe(tabId, { type: "CRTP_OPEN_PANEL" });
-    if (openAfterRefresh) return true;
+    const openAfterRefresh = await sendToTab(tabId, "CRTP_OPEN_PANEL");
+    if (openAfterRefresh.ok) return true;
   }
 
   return false;
 }
 
-async function handleActionClicked(clickedTab) {
+async function handleTogglePanel(clickedTab) {
   let tabId = clickedTab && clickedTab.id ? clickedTab.id : null;
 
   // Fallback: find active tab in current window if tab info isn't provided
@@ -65,10 +68,347 @@ async function handleActionClicked(clickedTab) {
   await toggleOrOpenPanel(tabId);
 }
 
-// Primary entry: browser action click
-if (chrome.action && chrome.action.onClicked) {
-  chrome.action.onClicked.addListener((tab) => {
+// Global keyboard shortcut (manifest "commands"). The action has a default_popup,
+// so chrome.action.onClicked never fires.
+if (chrome.commands && chrome.commands.onCommand) {
+  chrome.commands.onCommand.addListener((command, tab) => {
     // Fire and forget; service worker can go idle after async completes
-    handleActionClicked(tab);
+    if (command === "toggle-panel") handleTogglePanel(tab);
+  });
+}
+
+// --------------------- GitHub Enterprise hosts ---------------------
+//
+// The manifest only matches github.com. Hosts listed in the enterpriseHosts setting
+// get the same content script through chrome.scripting, once the options page has
+// been granted their host permission; hosts without it are left out until it is.
+
+const ENTERPRISE_SCRIPT_ID = "crtp-enterprise";
+
+async function grantedEnterpriseHosts() {
+  const { enterpriseHosts } = await CRTPSettings.load();
+  const granted = [];
+  for (const host of enterpriseHosts) {
+    const origins = [CRTPGitHubApi.hostOrigin(host)];
+    if (await chrome.permissions.contains({ origins })) granted.push(host);
+  }
+  return granted;
+}
+
+function enterprisePatterns(hosts) {
+  return hosts.flatMap(CRTPGitHubApi.prPagePatterns);
+}
+
+// Replace the registration with one for the current hosts; runs are chained so
+// overlapping triggers (startup, settings, permission changes) can't collide
+let enterpriseSync = Promise.resolve();
+function syncEnterpriseScripts() {
+  const run = enterpriseSync.then(async () => {
+    const registered = await chrome.scripting.getRegisteredContentScripts({
+      ids: [ENTERPRISE_SCRIPT_ID],
+    });
+    if (registered.length) {
+      await chrome.scripting.unregisterContentScripts({
+        ids: [ENTERPRISE_SCRIPT_ID],
+      });
+    }
+    const hosts = await grantedEnterpriseHosts();
+    if (hosts.length === 0) return;
+    const [manifestScript] = chrome.runtime.getManifest().content_scripts;
+    await chrome.scripting.registerContentScripts([
+      {
+        id: ENTERPRISE_SCRIPT_ID,
+        matches: enterprisePatterns(hosts),
+        js: manifestScript.js,
+        runAt: "document_idle",
+      },
+    ]);
+  });
+  enterpriseSync = run.catch((e) =>
+    console.warn("Enterprise content script registration failed:", e),
+  );
+  return enterpriseSync;
+}
+
+chrome.runtime.onInstalled.addListener(syncEnterpriseScripts);
+chrome.runtime.onStartup.addListener(syncEnterpriseScripts);
+chrome.permissions.onAdded.addListener(syncEnterpriseScripts);
+chrome.permissions.onRemoved.addListener(syncEnterpriseScripts);
+
+let lastEnterpriseHosts = null;
+CRTPSettings.onChanged((settings) => {
+  const hosts = JSON.stringify(settings.enterpriseHosts);
+  if (hosts === lastEnterpriseHosts) return;
+  lastEnterpriseHosts = hosts;
+  syncEnterpriseScripts();
+});
+
+// --------------------- Batch mode ---------------------
+//
+// The popup's "Collect from all open PR tabs": CRTP_QUERY every tab the content
+// script runs in, then merge each tab's Copy Prompt output (its own template and
+// repository settings) into one prompt with a section per PR.
+
+// The manifest's content script match patterns plus the Enterprise hosts', i.e.
+// every PR page we run on
+async function prTabPatterns() {
+  return [
+    ...chrome.runtime.getManifest().content_scripts.flatMap((c) => c.matches),
+    ...enterprisePatterns(await grantedEnterpriseHosts()),
+  ];
+}
+
+// One entry per PR: the same PR open twice (e.g. /files and the conversation) counts once
+async function queryPRTabs() {
+  const { sendToTab } = CRTPProtocol;
+  const tabs = await chrome.tabs.query({ url: await prTabPatterns() });
+  const seen = new Set();
+  const prs = [];
+  for (const tab of tabs) {
+    const resp = await sendToTab(tab.id, "CRTP_QUERY");
+    if (resp.ok && !resp.isPR) continue;
+    const url = resp.ok ? resp.url : tab.url;
+    if (seen.has(url)) continue;
+    seen.add(url);
+    prs.push({
+      tabId: tab.id,
+      url,
+      title: (resp.ok && resp.title) || tab.title || url,
+      selectedIds: resp.ok ? resp.selectedIds : [],
+      found: resp.ok ? resp.suggestions.length : 0,
+      error: resp.ok
+        ? null
+        : resp.error.code === CRTPProtocol.ERRORS.NO_RECEIVER
+          ? "Reload the tab to collect from it"
+          : resp.error.message,
+    });
+  }
+  return prs;
+}
+
+async function batchQuery() {
+  const prs = await queryPRTabs();
+  return CRTPProtocol.ok({
+    prs: prs.map(({ selectedIds, ...pr }) => ({
+      ...pr,
+      selected: selectedIds.length,
+    })),
+  });
+}
+
+function mergePrompts(sections) {
+  const total = sections.length;
+  return [
+    `This batch covers ${total} pull request(s). Each section below belongs to one PR; apply its items to that PR only.`,
+    ...sections.map(
+      ({ title, url, text }, i) =>
+        `===== PR ${i + 1} of ${total}: ${title} =====\n${url}\n\n${text.trim()}`,
+    ),
+  ].join("\n\n");
+}
+
+async function batchBuild({ tabIds }) {
+  const { ok, fail, sendToTab, ERRORS } = CRTPProtocol;
+  const prs = (await queryPRTabs()).filter((pr) => tabIds.includes(pr.tabId));
+  const sections = [];
+  const failed = [];
+  for (const pr of prs) {
+    if (pr.error || pr.selectedIds.length === 0) {
+      failed.push({
+        tabId: pr.tabId,
+        url: pr.url,
+        error: pr.error || "No suggestions selected",
+      });
+      continue;
+    }
+    const resp = await sendToTab(pr.tabId, "CRTP_BUILD", {
+      format: "prompt",
+      ids: pr.selectedIds,
+    });
+    if (resp.ok) sections.push({ ...pr, text: resp.text, count: resp.count });
+    else
+      failed.push({ tabId: pr.tabId, url: pr.url, error: resp.error.message });
+  }
+  if (sections.length === 0) {
+    return fail(
+      ERRORS.NOTHING_SELECTED,
+      "No suggestions selected in those PRs",
+    );
+  }
+  return ok({
+    text: mergePrompts(sections),
+    count: sections.reduce((n, pr) => n + pr.count, 0),
+    prs: sections.map(({ tabId, url, title, count }) => ({
+      tabId,
+      url,
+      title,
+      count,
+    })),
+    failed,
+  });
+}
+
+// --------------------- GitHub API relay ---------------------
+
+// The API of the host the request came from: an Enterprise host's /api/v3 with its
+// own token, otherwise the configured base URL (api.github.com) and the GitHub token.
+async function apiClient(sender) {
+  const settings = await CRTPSettings.load();
+  const secrets = await CRTPSettings.loadSecrets();
+  let host = null;
+  try {
+    host = new URL(sender?.tab?.url || sender?.url).hostname;
+  } catch {
+    // not from a tab; use the github.com settings
+  }
+  const enterprise = settings.enterpriseHosts.includes(host);
+  const githubToken = enterprise
+    ? secrets.enterpriseTokens[host] || ""
+    : secrets.githubToken;
+  return {
+    client: CRTPGitHubApi.createClient({
+      baseUrl: enterprise
+        ? CRTPGitHubApi.apiBaseForHost(host)
+        : settings.apiBaseUrl,
+      token: githubToken,
+    }),
+    githubToken,
+  };
+}
+
+// Review comments plus, when a token is set, thread resolution state from GraphQL
+// (GraphQL requires authentication; without it threads is empty).
+async function listReviewComments({ owner, repo, number }, sender) {
+  const { client, githubToken } = await apiClient(sender);
+  const comments = await client.listReviewComments(owner, repo, number);
+  let threads = [];
+  if (githubToken) {
+    try {
+      threads = await client.listReviewThreads(owner, repo, number);
+    } catch {
+      // resolution state is optional
+    }
+  }
+  return { comments, threads };
+}
+
+// File context (see content.js): the PR's head commit and file text at a commit
+async function pullHead({ owner, repo, number }, sender) {
+  const { client } = await apiClient(sender);
+  const pull = await client.getPullRequest(owner, repo, number);
+  return { sha: pull.head?.sha || null };
+}
+
+async function fileContent({ owner, repo, path, ref }, sender) {
+  const { client } = await apiClient(sender);
+  return { text: await client.getFileText(owner, repo, path, ref) };
+}
+
+// Protocol handler for an API call: its result, or API_FAILED with the error
+// (createClient's errors read "GitHub API <status>: …")
+const apiHandler = (call) => async (msg, sender) => {
+  const { ok, fail, ERRORS } = CRTPProtocol;
+  try {
+    return ok(await call(msg, sender));
+  } catch (err) {
+    return fail(ERRORS.API_FAILED, err?.message || "request failed");
+  }
+};
+
+// --------------------- LLM relay ---------------------
+//
+// The content script connects a port named "crtp-llm" and posts { type: "CRTP_LLM_SEND", prompt }.
+// Replies: { type: "start", model }, { type: "delta", text }, { type: "done" } or
+// { type: "error", error, status }. Disconnecting the port aborts the request.
+
+async function streamToPort(port, prompt, signal) {
+  const settings = await CRTPSettings.load();
+  const { llmApiKey } = await CRTPSettings.loadSecrets();
+  const config = {
+    provider: settings.llmProvider,
+    baseUrl: settings.llmBaseUrl,
+    model: settings.llmModel,
+    maxTokens: Number(settings.llmMaxTokens) || 4096,
+    apiKey: llmApiKey,
+  };
+  port.postMessage({ type: "start", model: config.model });
+  await CRTPLlm.streamCompletion(
+    config,
+    prompt,
+    (text) => port.postMessage({ type: "delta", text }),
+    { signal },
+  );
+  port.postMessage({ type: "done" });
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "crtp-llm") return;
+  const controller = new AbortController();
+  let connected = true;
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    controller.abort();
+  });
+  port.onMessage.addListener((msg) => {
+    if (!msg || msg.type !== "CRTP_LLM_SEND") return;
+    streamToPort(port, msg.prompt || "", controller.signal).catch((err) => {
+      if (!connected) return;
+      port.postMessage({
+        type: "error",
+        error: err?.message || "request failed",
+        status: err?.status ?? 0,
+      });
+    });
   });
+});
+
+// --------------------- Downloads ---------------------
+//
+// CRTP_DOWNLOAD { filename, mimeType, text } saves one file;
+// CRTP_DOWNLOAD { filename, files: [{ path, text }] } saves a zip of them.
+// Service workers have no URL.createObjectURL, so the file goes out as a data: URL.
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
 }
+
+async function downloadFile({ filename, mimeType, text, files }) {
+  if (!filename) throw new Error("No filename");
+  const bytes = files
+    ? CRTPZip.createZip(files)
+    : new TextEncoder().encode(text || "");
+  const type = files ? "application/zip" : mimeType || "text/plain";
+  return chrome.downloads.download({
+    url: `data:${type};base64,${bytesToBase64(bytes)}`,
+    filename,
+    conflictAction: "uniquify",
+  });
+}
+
+async function download(msg) {
+  const { ok, fail, ERRORS } = CRTPProtocol;
+  try {
+    return ok({ downloadId: await downloadFile(msg) });
+  } catch (err) {
+    return fail(ERRORS.DOWNLOAD_FAILED, err?.message || "download failed");
+  }
+}
+
+// --------------------- Messages ---------------------
+
+// One protocol listener for everything background.js answers (see protocol.js)
+chrome.runtime.onMessage.addListener(
+  CRTPProtocol.handle({
+    CRTP_BATCH_QUERY: batchQuery,
+    CRTP_BATCH_BUILD: batchBuild,
+    CRTP_API_LIST_REVIEW_COMMENTS: apiHandler(listReviewComments),
+    CRTP_API_PULL_HEAD: apiHandler(pullHead),
+    CRTP_API_FILE_CONTENT: apiHandler(fileContent),
+    CRTP_DOWNLOAD: download,
+  }),
+);
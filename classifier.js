@@ -0,0 +1,273 @@
+/* classifier.js
+ * Local, rule-based category / severity tagging for suggestions.
+ * Shared by content.js (tags every extracted item) and options.js (rule editor).
+ *
+ * Rules are plain data so they can be edited as JSON in the options page:
+ * - categories: [{ id, severity, patterns: [regex, ...] }] – the category with the
+ *   most matching patterns wins (ties go to the earlier entry); its severity is the default.
+ * - severity: { blocker: [regex, ...], nit: [regex, ...] } – explicit markers that
+ *   override the category default (blocker beats nit).
+ * Patterns are case-insensitive and run against reviewText + suggestedChange (or text).
+ * User rules live in chrome.storage.local; without them DEFAULT_RULES apply.
+ */
+
+(() => {
+  "use strict";
+
+  const STORAGE_KEY = "crtp:classifierRules";
+
+  const SEVERITIES = ["blocker", "should-fix", "nit"];
+  const FALLBACK = { category: "other", severity: "should-fix" };
+
+  const DEFAULT_RULES = {
+    categories: [
+      {
+        id: "security",
+        severity: "blocker",
+        patterns: [
+          "secur",
+          "vulnerab",
+          "injection",
+          "\\bxss\\b",
+          "\\bcsrf\\b",
+          "sanitiz",
+          "escap(e|ing) (the )?(user|input|html)",
+          "secret|credential|password|api[ _-]?key|token leak",
+          "auth(entication|orization)?\\b",
+          "\\beval\\(",
+          "innerHTML",
+        ],
+      },
+      {
+        id: "bug",
+        severity: "should-fix",
+        patterns: [
+          "\\bbug\\b",
+          "incorrect|wrong|broken",
+          "\\bcrash",
+          "null|undefined|\\bnil\\b",
+          "off[- ]by[- ]one",
+          "race condition",
+          "exception|throws?\\b|unhandled",
+          "edge case",
+          "infinite loop",
+          "memory leak",
+          "does(n't| not) (work|handle)",
+        ],
+      },
+      {
+        id: "performance",
+        severity: "should-fix",
+        patterns: [
+          "perform",
+          "\\bslow",
+          "inefficien",
+          "\\bO\\(n",
+          "re-?render",
+          "memoi[sz]",
+          "\\bcache|caching",
+          "allocat",
+          "unnecessary (call|loop|request|work|copy)",
+          "n\\+1",
+        ],
+      },
+      {
+        id: "tests",
+        severity: "should-fix",
+        patterns: [
+          "\\btests?\\b|testing",
+          "coverage",
+          "assert",
+          "\\bmock",
+          "\\bspec\\b",
+        ],
+      },
+      {
+        id: "naming",
+        severity: "nit",
+        patterns: [
+          "\\brename",
+          "\\bnam(e|ing)\\b",
+          "misleading",
+          "more descriptive",
+          "camelCase|snake_case|PascalCase",
+        ],
+      },
+      {
+        id: "docs",
+        severity: "nit",
+        patterns: [
+          "\\bdoc(s|umentation|string|block)?\\b",
+          "\\bcomment\\b",
+          "jsdoc|readme",
+          "typo|spelling|grammar",
+        ],
+      },
+      {
+        id: "style",
+        severity: "nit",
+        patterns: [
+          "\\bstyle\\b",
+          "format(ting)?",
+          "indent",
+          "whitespace|trailing",
+          "consisten",
+          "readab",
+          "\\bunused\\b",
+          "simplif",
+          "redundant",
+          "prefer\\b",
+          "\\bconst\\b",
+        ],
+      },
+    ],
+    severity: {
+      blocker: [
+        "\\bblocker\\b",
+        "\\bcritical\\b",
+        "data loss",
+        "security (issue|hole|risk|vulnerability)",
+        "\\bmust\\b",
+        "will (crash|fail|break)",
+      ],
+      nit: [
+        "\\bnit(pick)?\\b",
+        "\\bminor\\b",
+        "\\boptional(ly)?\\b",
+        "\\bconsider\\b",
+        "not a big deal",
+        "\\bcosmetic\\b",
+      ],
+    },
+  };
+
+  const compilePatterns = (patterns, where) =>
+    (patterns || []).map((p) => {
+      try {
+        return new RegExp(p, "i");
+      } catch (e) {
+        throw new Error(`${where}: ${e.message}`);
+      }
+    });
+
+  /**
+   * Validate rules and precompile them. Throws a readable Error for bad input
+   * (used by the options editor); classify() takes the result.
+   */
+  const compile = (rules) => {
+    if (!rules || !Array.isArray(rules.categories)) {
+      throw new Error('Rules need a "categories" array');
+    }
+    const categories = rules.categories.map((c, i) => {
+      if (!c || typeof c.id !== "string" || !c.id) {
+        throw new Error(`Category #${i + 1} needs an "id"`);
+      }
+      if (c.severity && !SEVERITIES.includes(c.severity)) {
+        throw new Error(
+          `Category "${c.id}": severity must be one of ${SEVERITIES.join(", ")}`,
+        );
+      }
+      return {
+        id: c.id,
+        severity: c.severity || FALLBACK.severity,
+        patterns: compilePatterns(c.patterns, `Category "${c.id}"`),
+      };
+    });
+    const severity = rules.severity || {};
+    return {
+      categories,
+      blocker: compilePatterns(severity.blocker, "Severity blocker"),
+      nit: compilePatterns(severity.nit, "Severity nit"),
+    };
+  };
+
+  const textOf = (s) =>
+    [s.reviewText || s.text || "", s.suggestedChange || ""].join("\n");
+
+  /** { category, severity } for one suggestion. */
+  const classify = (s, compiled) => {
+    const text = textOf(s);
+    let best = null;
+    let bestScore = 0;
+    compiled.categories.forEach((c) => {
+      const score = c.patterns.filter((re) => re.test(text)).length;
+      if (score > bestScore) {
+        best = c;
+        bestScore = score;
+      }
+    });
+    let severity = best ? best.severity : FALLBACK.severity;
+    if (compiled.blocker.some((re) => re.test(text))) severity = "blocker";
+    else if (compiled.nit.some((re) => re.test(text))) severity = "nit";
+    return { category: best ? best.id : FALLBACK.category, severity };
+  };
+
+  /** Set `category` and `severity` on every item (in place) and return the list. */
+  const classifyAll = (items, compiled) => {
+    items.forEach((s) => Object.assign(s, classify(s, compiled)));
+    return items;
+  };
+
+  const severityRank = (severity) => {
+    const i = SEVERITIES.indexOf(severity);
+    return i === -1 ? SEVERITIES.length : i;
+  };
+
+  /** Stable copy of `items` ordered blocker → should-fix → nit. */
+  const sortBySeverity = (items) =>
+    items
+      .map((s, i) => ({ s, i }))
+      .sort(
+        (a, b) =>
+          severityRank(a.s.severity) - severityRank(b.s.severity) || a.i - b.i,
+      )
+      .map(({ s }) => s);
+
+  // --------------------- Storage ---------------------
+
+  const hasStorage = () =>
+    typeof chrome !== "undefined" && !!chrome.storage?.local;
+
+  /** Saved rules, or DEFAULT_RULES when none are saved (or they no longer compile). */
+  const loadRules = async () => {
+    if (!hasStorage()) return DEFAULT_RULES;
+    try {
+      const data = await chrome.storage.local.get(STORAGE_KEY);
+      const rules = data[STORAGE_KEY];
+      if (!rules) return DEFAULT_RULES;
+      compile(rules);
+      return rules;
+    } catch {
+      return DEFAULT_RULES;
+    }
+  };
+
+  /** Save rules (validated first); pass null to go back to the defaults. */
+  const saveRules = async (rules) => {
+    if (rules) compile(rules);
+    if (!hasStorage()) return;
+    if (rules) await chrome.storage.local.set({ [STORAGE_KEY]: rules });
+    else await chrome.storage.local.remove(STORAGE_KEY);
+  };
+
+  /** Call cb() whenever the saved rules change. */
+  const onRulesChanged = (cb) => {
+    if (!hasStorage() || !chrome.storage.onChanged) return;
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "local" && changes[STORAGE_KEY]) cb();
+    });
+  };
+
+  globalThis.CRTPClassifier = {
+    SEVERITIES,
+    DEFAULT_RULES,
+    compile,
+    classify,
+    classifyAll,
+    severityRank,
+    sortBySeverity,
+    loadRules,
+    saveRules,
+    onRulesChanged,
+  };
+})();
@@ -4,17 +4,30 @@
  *
  * Behavior:
  * - Detects and parses review comments in turbo-frame elements with id starting with "review-thread-or-comment-id-".
- * - Attempts to filter to Copilot-authored comments (best-effort).
+ * - On "Files changed" and single-commit pages, reads the inline threads beside the diff instead,
+ *   recording the diff side (LEFT/RIGHT), old and new line numbers and the commit SHA.
+ * - Attempts to filter to Copilot-authored comments (best-effort), or to the reviewers chosen per repository.
  * - Extracts suggestions from bullet lists, enumerated lists, and lines prefixed with patterns like "Suggestion:", "Fix:", "- ", "1. ".
  * - Injects a floating action button and an overlay panel (Shadow DOM) with checkboxes for each suggestion.
  * - Allows selecting/unselecting and copying selected suggestions into a single structured output for an LLM.
- * - Persists selection state per-PR in localStorage.
+ * - Persists selection state per-PR in chrome.storage (pr-store.js), optionally synced.
+ * - Optionally reads review comments from the GitHub REST API (github-api.js, relayed by background.js).
+ * - Converts suggested changes into unified diffs (patch.js) for "Copy as patch".
+ * - Downloads the selection as .md / .json / .patch or a zip bundle (chrome.downloads via background.js).
+ * - Tags each suggestion with a category and severity (classifier.js).
+ * - Adds "Include in prompt" / Skip controls to comment headers, synced with the panel.
+ * - Links panel rows and review threads both ways (click to scroll, hover to highlight).
+ * - Keyboard triage in the panel (j/k, space, x, u, o, c; ? for help).
+ * - Estimates prompt tokens per model profile and splits big selections (tokens.js).
+ * - Optionally adds a line-numbered excerpt of the file around each comment (head commit).
+ * - Renders prompts through the shared template engine (templates.js), with the template picked in the panel.
+ * - Optionally sends the prompt to a configured LLM endpoint (llm.js, relayed by background.js) and streams the reply.
  */
 
 (() => {
   "use strict";
 
-  // Only run on GitHub PR pages
+  // Only run on GitHub PR pages (github.com or an Enterprise host; the paths are the same)
   const isPRPage = () =>
     /^\/[^/]+\/[^/]+\/pull\/\d+(?:\/.*)?$/.test(location.pathname);
 
@@ -22,73 +35,150 @@
 
   // --------------------- Utilities ---------------------
 
+  // `delay` may be a function, read on every call so settings apply without a reload
   const debounce = (fn, delay = 250) => {
     let t;
     return (...args) => {
       clearTimeout(t);
-      t = setTimeout(() => fn(...args), delay);
+      t = setTimeout(
+        () => fn(...args),
+        typeof delay === "function" ? delay() : delay,
+      );
     };
   };
 
-  const hashString = (str) => {
-    // Simple 32-bit FNV-1a hash
-    let h = 0x811c9dc5;
-    for (let i = 0; i < str.length; i++) {
-      h ^= str.charCodeAt(i);
-      h += (h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24);
-    }
-    // Convert to unsigned and base36 for compactness
-    return (h >>> 0).toString(36);
-  };
+  // Shared with the API extractor so both give the same ids and summaries (text.js)
+  const { hashString, summarize } = CRTPText;
 
   const safeText = (el) => (el?.textContent || "").trim();
 
+  const PR_KEY_PREFIX = "copilot-review-to-prompt:";
+  // Suggestions first seen during the current visit are "New". A visit ends once the
+  // PR has not been open for this long (pr-store.js recordVisit), so a reload keeps it.
+  const VISIT_GAP_MS = 30 * 60 * 1000;
+  const VISIT_TOUCH_MS = 60 * 1000;
+
   const currentPRKey = () =>
-    `copilot-review-to-prompt:${location.origin}${location.pathname}`;
+    `${PR_KEY_PREFIX}${location.origin}${location.pathname}`;
+
+  // { owner, repo, number } from the PR URL inside a PR key, or null
+  const parsePRLocation = (prKey = currentPRKey()) => {
+    const pathname = new URL(prKey.slice(PR_KEY_PREFIX.length)).pathname;
+    const m = pathname.match(/^\/([^/]+)\/([^/]+)\/pull\/(\d+)/);
+    return m ? { owner: m[1], repo: m[2], number: parseInt(m[3], 10) } : null;
+  };
+
+  // Base name for exported files, e.g. "octo-org-octo-repo-pr42-review"
+  const reviewFileBaseName = () => {
+    const pr = parsePRLocation();
+    return pr
+      ? `${pr.owner}-${pr.repo}-pr${pr.number}-review`
+      : "copilot-review";
+  };
 
+  const downloadText = (filename, text, mimeType = "text/plain") => {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  // Save a file with chrome.downloads via background.js. Single files fall back to
+  // an <a download> link when the extension context is gone; zips need background.
+  const saveDownload = async (message) => {
+    const resp = await CRTPProtocol.sendToBackground("CRTP_DOWNLOAD", message);
+    const gone = resp.error?.code === CRTPProtocol.ERRORS.NO_RECEIVER;
+    if (resp.ok || !gone || message.files) return resp;
+    downloadText(message.filename, message.text, message.mimeType);
+    return CRTPProtocol.ok();
+  };
+
+  // Canonical PR URL (no /files, /commits… suffix) used to key stored state
+  const currentPRUrl = (prKey = currentPRKey()) => {
+    const url = prKey.slice(PR_KEY_PREFIX.length);
+    const pr = parsePRLocation(prKey);
+    return pr
+      ? `${new URL(url).origin}/${pr.owner}/${pr.repo}/pull/${pr.number}`
+      : url;
+  };
+
+  // Selection state lives in chrome.storage via pr-store.js. Older versions used
+  // "<currentPRKey()>:deselected" / ":ignored" keys in the page's localStorage;
+  // load() moves any it finds (for every PR on this origin) into the store first.
   const storage = {
-    getDeselectedSet() {
-      try {
-        const raw = localStorage.getItem(currentPRKey() + ":deselected");
-        if (!raw) return new Set();
-        const arr = JSON.parse(raw);
-        return new Set(Array.isArray(arr) ? arr : []);
-      } catch {
-        return new Set();
-      }
-    },
-    saveDeselectedSet(set) {
+    async load() {
       try {
-        localStorage.setItem(
-          currentPRKey() + ":deselected",
-          JSON.stringify(Array.from(set)),
+        await CRTPStore.migrateLocalStorage(
+          localStorage,
+          PR_KEY_PREFIX,
+          (url) => currentPRUrl(PR_KEY_PREFIX + url),
         );
       } catch {
-        // ignore quota errors
+        // localStorage unavailable; nothing to migrate
       }
+      const visitStartedAt = await CRTPStore.recordVisit(
+        currentPRUrl(),
+        VISIT_GAP_MS,
+      );
+      const entry = await CRTPStore.get(currentPRUrl());
+      return {
+        visitStartedAt,
+        deselected: new Set(entry.deselected),
+        ignored: new Set(entry.ignored),
+        seen: { ...entry.seen },
+        firstSeen: { ...entry.firstSeen },
+        skipReasons: { ...entry.skipReasons },
+        annotations: { ...entry.annotations },
+        customItems: [...entry.customItems],
+      };
     },
-    getIgnoredSet() {
-      try {
-        const raw = localStorage.getItem(currentPRKey() + ":ignored");
-        if (!raw) return new Set();
-        const arr = JSON.parse(raw);
-        return new Set(Array.isArray(arr) ? arr : []);
-      } catch {
-        return new Set();
-      }
+    saveSkipReasons(skipReasons) {
+      saveEntry({ skipReasons });
+    },
+    saveAnnotations(annotations) {
+      saveEntry({ annotations });
+    },
+    saveCustomItems(customItems) {
+      saveEntry({ customItems, title: prTitle() });
+    },
+    saveSeen(seen, firstSeen) {
+      saveEntry({ seen, firstSeen });
+    },
+    saveDeselectedSet(set) {
+      saveEntry({ deselected: Array.from(set), title: prTitle() });
     },
     saveIgnoredSet(set) {
-      try {
-        localStorage.setItem(
-          currentPRKey() + ":ignored",
-          JSON.stringify(Array.from(set)),
-        );
-      } catch {
-        // ignore quota errors
-      }
+      saveEntry({ ignored: Array.from(set), title: prTitle() });
     },
   };
 
+  // Write failures (storage full, extension reloaded) show in the panel status
+  const saveEntry = (patch) =>
+    CRTPStore.update(currentPRUrl(), patch).catch((e) =>
+      UI.setStatus(`Could not save: ${e?.message || "unknown error"}`),
+    );
+
+  const prTitle = () =>
+    (
+      document.querySelector(".js-issue-title, [data-testid='issue-title']")
+        ?.textContent || ""
+    ).trim();
+
+  // "open" | "draft" | "merged" | "closed" from the PR header's state label
+  const detectPRState = () => {
+    const label = document.querySelector(
+      ".gh-header-meta .State, [class*='StateLabel'], .State",
+    );
+    const text = (label?.textContent || "").trim().toLowerCase();
+    return (
+      ["merged", "closed", "draft"].find((s) => text.includes(s)) || "open"
+    );
+  };
+
   // --------------------- Extraction ---------------------
   //
   // Enhanced helpers to extract file path, line numbers, review text (excluding code),
@@ -122,8 +212,80 @@
     return null;
   };
 
+  // --- Diff sides ---
+  //
+  // Review comments sit on one side of the diff: "LEFT" (old file, removed lines) or
+  // "RIGHT" (new file). GitHub marks line-number cells with ids ending in "L12" /
+  // "R12", deletion/addition classes, and #L/#R anchors; old and new numbers must not
+  // be mixed up when reading a comment's range.
+
+  const normalizeSide = (value) => {
+    const side = (value || "").toUpperCase();
+    return side === "LEFT" || side === "RIGHT" ? side : null;
+  };
+
+  // "-12" marks an old-side line and "+12" a new-side one; a bare number either
+  const signSide = (sign) =>
+    sign === "-" ? "LEFT" : sign === "+" ? "RIGHT" : null;
+
+  const toLineNumber = (value) => {
+    const n = parseInt(value, 10);
+    return Number.isNaN(n) ? null : n;
+  };
+
+  // Value of a hidden input in a thread's reply form (commit_id, line, side, …)
+  const formValue = (container, name) =>
+    container.querySelector(`input[name="${name}"]`)?.value?.trim() || null;
+
+  // Side of a line-number cell from its id ("diff-<hash>L12") or class, else null
+  const cellSide = (cell) => {
+    const m = (cell.id || "").match(/([LR])\d+$/);
+    if (m) return m[1] === "L" ? "LEFT" : "RIGHT";
+    if (cell.classList.contains("blob-num-deletion")) return "LEFT";
+    if (cell.classList.contains("blob-num-addition")) return "RIGHT";
+    return null;
+  };
+
+  /**
+   * { old, new } line numbers of a diff row (null where the row has none). Unified
+   * and split diffs both put the old-side number cell first; cells without a telling
+   * id or class (context lines) are placed by that order.
+   */
+  const rowLineNumbers = (row) => {
+    const out = { old: null, new: null };
+    row
+      .querySelectorAll("td.blob-num, td[data-line-number]")
+      .forEach((cell, i) => {
+        const n = toLineNumber(
+          cell.getAttribute("data-line-number") ??
+            safeText(cell).replace(/^[+-]/, ""),
+        );
+        if (n === null) return;
+        const side = cellSide(cell) || (i === 0 ? "LEFT" : "RIGHT");
+        out[side === "LEFT" ? "old" : "new"] = n;
+      });
+    return out;
+  };
+
+  // Old/new line fields for a range on one side of the diff
+  const sideLines = (side, lineStart, lineEnd) => ({
+    oldLineStart: side === "LEFT" ? lineStart : null,
+    oldLineEnd: side === "LEFT" ? lineEnd : null,
+    newLineStart: side === "RIGHT" ? lineStart : null,
+    newLineEnd: side === "RIGHT" ? lineEnd : null,
+  });
+
+  /**
+   * Commented line range of a Conversation-tab thread and the diff side it is on.
+   * Numbers are collected per side; the range comes from the thread's side (the
+   * reply form's, else "RIGHT" when new-side numbers were found) plus numbers whose
+   * side is unknown.
+   */
   const findLineRangeInFrame = (frame) => {
-    const nums = new Set();
+    const nums = { LEFT: new Set(), RIGHT: new Set(), any: new Set() };
+    const add = (side, n) => {
+      if (n !== null) nums[side || "any"].add(n);
+    };
 
     // User specific selector for line text (e.g. "Lines 42-45" or "Comment on lines +67 to +87")
     const specificLineDiv = frame.querySelector(
@@ -133,13 +295,12 @@
       const text = safeText(specificLineDiv);
       // Match patterns like "Lines 42-45", "Line 42", "Comment on lines +67 to +87"
       const m = text.match(
-        /(?:Lines?|on lines)\s+\+?(\d+)(?:\s*(?:-|to)\s*\+?(\d+))?/i,
+        /(?:Lines?|on lines?)\s+([+-]?)(\d+)(?:\s*(?:-|to)\s*[+-]?(\d+))?/i,
       );
       if (m) {
-        const start = parseInt(m[1], 10);
-        const end = m[2] ? parseInt(m[2], 10) : start;
-        if (!Number.isNaN(start)) nums.add(start);
-        if (!Number.isNaN(end)) nums.add(end);
+        const side = signSide(m[1]);
+        add(side, toLineNumber(m[2]));
+        add(side, toLineNumber(m[3] || m[2]));
       }
     }
 
@@ -149,37 +310,31 @@
         '.js-multi-line-preview-start, .js-multi-line-preview-end, [class*="preview-start"], [class*="preview-end"]',
       )
       .forEach((el) => {
-        const text = safeText(el).replace(/^\+/, ""); // Remove leading + sign
-        const n = parseInt(text, 10);
-        if (!Number.isNaN(n)) nums.add(n);
+        const m = safeText(el).match(/^([+-]?)(\d+)/);
+        if (m) add(signSide(m[1]), toLineNumber(m[2]));
       });
 
-    // Common patterns in GitHub's DOM
-    frame.querySelectorAll("[data-line-number]").forEach((el) => {
-      const n = parseInt(el.getAttribute("data-line-number"), 10);
-      if (!Number.isNaN(n)) nums.add(n);
-    });
-
-    frame.querySelectorAll(".blob-num").forEach((el) => {
-      const text = safeText(el).replace(/^\+/, ""); // Remove leading + sign
-      const n = parseInt(text, 10);
-      if (!Number.isNaN(n)) nums.add(n);
+    // Line-number cells of the code snippet, old column and new column
+    frame.querySelectorAll("tr").forEach((row) => {
+      const { old, new: added } = rowLineNumbers(row);
+      add("LEFT", old);
+      add("RIGHT", added);
     });
 
     // Look for anchors containing #L123 or #R123
     frame.querySelectorAll('a[href*="#L"], a[href*="#R"]').forEach((a) => {
-      const href = a.getAttribute("href") || "";
-      const m = href.match(/#(?:L|R)(\d+)/);
-      if (m) {
-        const n = parseInt(m[1], 10);
-        if (!Number.isNaN(n)) nums.add(n);
-      }
+      const m = (a.getAttribute("href") || "").match(/#(L|R)(\d+)/);
+      if (m) add(m[1] === "L" ? "LEFT" : "RIGHT", toLineNumber(m[2]));
     });
 
-    if (nums.size === 0) return { lineStart: null, lineEnd: null };
-
-    const arr = Array.from(nums.values()).sort((a, b) => a - b);
-    return { lineStart: arr[0], lineEnd: arr[arr.length - 1] };
+    const side =
+      normalizeSide(formValue(frame, "side")) ||
+      (nums.RIGHT.size ? "RIGHT" : nums.LEFT.size ? "LEFT" : null);
+    const arr = [...(side ? nums[side] : []), ...nums.any].sort(
+      (a, b) => a - b,
+    );
+    if (arr.length === 0) return { lineStart: null, lineEnd: null, side };
+    return { lineStart: arr[0], lineEnd: arr[arr.length - 1], side };
   };
 
   const findCodeMentionedInFrame = (frame) => {
@@ -225,6 +380,13 @@
     return text || null;
   };
 
+  // GitHub keeps a hidden (d-none) "Suggestion applied" button in every suggested
+  // change and reveals it once the change has been committed
+  const isSuggestionApplied = (commentRoot) =>
+    Array.from(commentRoot.querySelectorAll(".js-suggestion-applied")).some(
+      (btn) => !btn.closest(".d-none"),
+    );
+
   const extractPrimarySuggestedChange = (commentRoot) => {
     const body = commentRoot.querySelector(".js-comment-body, .comment-body");
     if (!body) return null;
@@ -252,8 +414,10 @@
   /**
    * Try to decide whether the comment is authored by GitHub Copilot.
    * Best effort: look for author text, bot badges, or content hints.
+   * Pass { contentHint: false } to rely on the author only (used inside threads,
+   * where a human reply that mentions Copilot must not count as a Copilot comment).
    */
-  const isCopilotAuthor = (commentRoot) => {
+  const isCopilotAuthor = (commentRoot, { contentHint = true } = {}) => {
     try {
       // Author link commonly has class "author"
       const authorLink = commentRoot.querySelector("a.author");
@@ -269,6 +433,8 @@
       if (botText.includes("bot") && authorText.includes("copilot"))
         return true;
 
+      if (!contentHint) return false;
+
       // Content heuristic: mentions Copilot analysis
       const body = commentRoot.querySelector(".js-comment-body, .comment-body");
       const bodyText = safeText(body).toLowerCase();
@@ -293,6 +459,77 @@
     return href || location.href;
   };
 
+  // GitHub's database id for a review comment, from its "discussion_r<ID>" element
+  // id or permalink; null for comments that have neither (e.g. test pages)
+  const getCommentDatabaseId = (commentRoot) => {
+    const fromId = commentRoot
+      .closest('[id^="discussion_r"]')
+      ?.id.match(/^discussion_r(\d+)$/);
+    if (fromId) return fromId[1];
+    const link = commentRoot.querySelector('a[href*="#discussion_r"]');
+    const fromLink = link?.getAttribute("href").match(/#discussion_r(\d+)/);
+    return fromLink ? fromLink[1] : null;
+  };
+
+  const getCommentAuthor = (commentRoot) =>
+    safeText(commentRoot.querySelector("a.author")) || null;
+
+  // Reaction counts shown under a comment, e.g. { "+1": 2, "eyes": 1 }
+  const extractReactions = (commentRoot) => {
+    const reactions = {};
+    commentRoot
+      .querySelectorAll(
+        ".js-comment-reactions-options button, .social-reaction-summary-item",
+      )
+      .forEach((btn) => {
+        const name =
+          btn.querySelector("g-emoji")?.getAttribute("alias") ||
+          btn.getAttribute("data-reaction-content");
+        const count = parseInt(
+          safeText(
+            btn.querySelector(".js-discussion-reaction-group-count") || btn,
+          ).replace(/\D+/g, ""),
+          10,
+        );
+        if (name && !Number.isNaN(count) && count > 0) reactions[name] = count;
+      });
+    return reactions;
+  };
+
+  /**
+   * Thread-level context for a review thread frame: resolution/outdated state and
+   * every comment in order (author, prose, reactions, permalink).
+   */
+  const extractThreadContext = (frame, commentRoots) => {
+    const details = frame.querySelector("details[data-resolved]");
+    const resolved =
+      details?.getAttribute("data-resolved") === "true" ||
+      !!frame.querySelector('[data-resolved-comment="true"]');
+    const outdated =
+      !!frame.querySelector('[data-outdated-comment="true"]') ||
+      Array.from(frame.querySelectorAll(".Label")).some((l) =>
+        /^outdated$/i.test(safeText(l)),
+      );
+    const comments = commentRoots.map((c) => ({
+      author: getCommentAuthor(c),
+      isCopilot: isCopilotAuthor(c, { contentHint: false }),
+      text:
+        extractReviewTextOnly(c) ||
+        safeText(c.querySelector(".js-comment-body, .comment-body")),
+      reactions: extractReactions(c),
+      url: getAnchorUrlForComment(c),
+    }));
+    return { resolved, outdated, comments };
+  };
+
+  // The `thread` field of a suggestion made from the idx-th comment of a thread
+  const threadFieldFor = (ctx, idx) => ({
+    resolved: ctx.resolved,
+    outdated: ctx.outdated,
+    reactions: ctx.comments[idx]?.reactions || {},
+    replies: ctx.comments.slice(idx + 1),
+  });
+
   const extractListItems = (container) => {
     const items = [];
     container.querySelectorAll("ul li, ol li").forEach((li) => {
@@ -390,6 +627,61 @@
     return items;
   };
 
+  // Raw text of a code cell, keeping indentation (safeText() would trim it)
+  const rawLine = (el) => (el?.textContent || "").replace(/\r?\n$/, "");
+
+  /**
+   * Structured form of the first suggested-change table in a comment, for patch.js:
+   * { oldLines, newLines } with indentation preserved. When GitHub renders only the
+   * added lines, the original lines are taken from the end of the thread's code snippet.
+   */
+  const extractSuggestionReplacement = (
+    commentRoot,
+    { codeMentioned, lineStart, lineEnd },
+  ) => {
+    const body = commentRoot.querySelector(".js-comment-body, .comment-body");
+    const table = body?.querySelector(
+      ".js-suggested-changes-blob table, .js-suggested-changes-blob .d-table",
+    );
+    if (!table) return null;
+
+    const oldLines = [];
+    const newLines = [];
+    let hasDeletion = false;
+    table.querySelectorAll("tr").forEach((tr) => {
+      const cell =
+        tr.querySelector(".blob-code-inner") ||
+        tr.querySelector("td.blob-code");
+      if (!cell) return;
+      const txt = rawLine(cell);
+      if (
+        tr.querySelector(
+          ".blob-num-deletion, .blob-code-deletion, .js-blob-code-deletion, .blob-code-marker-deletion",
+        )
+      ) {
+        hasDeletion = true;
+        oldLines.push(txt);
+      } else if (
+        tr.querySelector(
+          ".blob-num-addition, .blob-code-addition, .js-blob-code-addition, .blob-code-marker-addition",
+        )
+      ) {
+        newLines.push(txt);
+      } else {
+        oldLines.push(txt);
+        newLines.push(txt);
+      }
+    });
+
+    if (!hasDeletion && codeMentioned) {
+      const count =
+        lineStart && lineEnd ? Math.max(1, lineEnd - lineStart + 1) : 1;
+      oldLines.unshift(...codeMentioned.split("\n").slice(-count));
+    }
+    if (oldLines.length === 0 && newLines.length === 0) return null;
+    return { oldLines, newLines };
+  };
+
   const dedupe = (arr) => {
     const seen = new Set();
     const out = [];
@@ -403,28 +695,21 @@
     return out;
   };
 
-  const summarize = (text, maxLen = 140) => {
-    const t = text.replace(/\s+/g, " ").trim();
-    if (t.length <= maxLen) return t;
-    // Prefer sentence boundary
-    const sentenceEnd = t.indexOf(".", 60);
-    if (sentenceEnd > 0 && sentenceEnd < maxLen)
-      return t.slice(0, sentenceEnd + 1);
-    return t.slice(0, maxLen - 1) + "…";
-  };
-
-  const extractSuggestionsFromComment = (commentRoot) => {
+  // `settings` switches the list-item, pattern-line and whole-comment passes
+  const extractSuggestionsFromComment = (commentRoot, settings) => {
     const body = commentRoot.querySelector(".js-comment-body, .comment-body");
     if (!body) return [];
 
-    const liItems = extractListItems(body);
-    const patternLines = extractPatternLines(body);
+    const liItems = settings.extractListItems ? extractListItems(body) : [];
+    const patternLines = settings.extractPatternLines
+      ? extractPatternLines(body)
+      : [];
     const changeBlocks = extractSuggestedChangeBlocks(body);
 
     const combined = dedupe([...liItems, ...patternLines, ...changeBlocks]);
 
     // If no structured suggestions found, treat the entire comment text as a suggestion
-    if (combined.length === 0) {
+    if (combined.length === 0 && settings.wholeCommentFallback) {
       const plainText = safeText(body);
       if (plainText && plainText.length > 10) {
         combined.push(plainText);
@@ -448,52 +733,596 @@
     );
   };
 
-  const extractAllSuggestions = () => {
-    const frames = Array.from(
-      document.querySelectorAll(
-        'turbo-frame[id^="review-thread-or-comment-id-"]',
-      ),
+  // Anchor shared by a comment's suggestions: GitHub's comment id when we can find it
+  // (shared with the API extractor), else the frame and the comment's position in it
+  const commentAnchorFor = (frame, commentRoot, idx) => {
+    const dbId = getCommentDatabaseId(commentRoot);
+    const frameId =
+      frame.id || `frame-${hashString(frame.outerHTML.slice(0, 512))}`;
+    return dbId ? `r${dbId}` : `${frameId}:${idx}`;
+  };
+
+  // "r123" for a suggestion anchored at "r123:0"
+  const commentAnchorOf = (s) =>
+    (s.anchor || "").slice(0, (s.anchor || "").lastIndexOf(":"));
+
+  // --------------------- Files changed / commit pages ---------------------
+  //
+  // On /pull/N/files and single-commit pages (/pull/N/commits/<sha>) review threads
+  // sit in "inline-comments" rows of each file's diff table instead of the
+  // Conversation tab's turbo-frames. A thread's position comes from the comment form
+  // next to it (path, commit_id, line, side, start_line, start_side), else from a
+  // #diff-…L12 / …R12 anchor in it, else from the diff row it is attached to.
+
+  const FRAME_THREAD_SELECTOR =
+    'turbo-frame[id^="review-thread-or-comment-id-"]';
+  const DIFF_THREAD_SELECTOR = ".js-resolvable-timeline-thread-container";
+
+  const isDiffView = () =>
+    /^\/[^/]+\/[^/]+\/pull\/\d+\/(?:files|commits\/[0-9a-f]{7,40})(?:\/|$)/i.test(
+      location.pathname,
     );
+
+  const threadSelector = () =>
+    isDiffView() ? DIFF_THREAD_SELECTOR : FRAME_THREAD_SELECTOR;
+
+  // Every review thread element in the current view
+  const reviewThreads = () =>
+    Array.from(document.querySelectorAll(threadSelector()));
+
+  // The commit a single-commit page shows, or null
+  const commitFromPath = () =>
+    location.pathname.match(/\/pull\/\d+\/commits\/([0-9a-f]{7,40})/i)?.[1] ||
+    null;
+
+  const letterSide = (letter) =>
+    letter.toUpperCase() === "L" ? "LEFT" : "RIGHT";
+
+  // Range of a "#diff-<hash>L12" or "#diff-<hash>R10-R12" link in the thread, or null
+  const anchorRangeIn = (thread) => {
+    for (const a of thread.querySelectorAll('a[href*="#diff-"]')) {
+      const m = (a.getAttribute("href") || "").match(
+        /#diff-[0-9a-f]+([LR])(\d+)(?:-([LR])(\d+))?$/i,
+      );
+      if (m) {
+        return {
+          startSide: letterSide(m[1]),
+          side: letterSide(m[3] || m[1]),
+          lineStart: toLineNumber(m[2]),
+          lineEnd: toLineNumber(m[4] || m[2]),
+        };
+      }
+    }
+    return null;
+  };
+
+  // Where the comment form for a thread's position lives: its side's cell in a split
+  // diff, else the inline-comments row
+  const formScope = (thread) =>
+    thread.closest("td.line-comments") ||
+    thread.closest(".js-inline-comments-container") ||
+    thread;
+
+  // In a split diff, threads in the left half of the row are on the old side
+  const splitCellSide = (thread) => {
+    const cell = thread.closest("td");
+    if (!cell || !thread.closest("table.file-diff-split")) return null;
+    const cells = Array.from(cell.parentElement.children);
+    return cells.indexOf(cell) < cells.length / 2 ? "LEFT" : "RIGHT";
+  };
+
+  // The code row a thread is attached to: the nearest row above its comment row
+  const diffRowAbove = (thread) => {
+    let row = thread.closest("tr")?.previousElementSibling;
+    while (row?.classList.contains("inline-comments")) {
+      row = row.previousElementSibling;
+    }
+    return row || null;
+  };
+
+  // The row of a diff table showing `line` on `side` (rows of nested tables excluded)
+  const diffRowAt = (table, side, line) =>
+    Array.from(table.querySelectorAll(":scope > tbody > tr, :scope > tr")).find(
+      (row) => rowLineNumbers(row)[side === "LEFT" ? "old" : "new"] === line,
+    ) || null;
+
+  // Code on `side` of the rows from `first` to `last`; rows that only exist on the
+  // other side (additions for LEFT, deletions for RIGHT) are left out
+  const codeBetween = (first, last, side) => {
+    const column = side === "LEFT" ? "old" : "new";
+    const lines = [];
+    for (let row = first; row; row = row.nextElementSibling) {
+      if (rowLineNumbers(row)[column] !== null) {
+        const cells = row.querySelectorAll("td.blob-code");
+        const cell =
+          cells.length > 1 ? cells[side === "LEFT" ? 0 : 1] : cells[0];
+        if (cell) {
+          lines.push(rawLine(cell.querySelector(".blob-code-inner") || cell));
+        }
+      }
+      if (row === last) break;
+    }
+    return lines.length ? lines.join("\n") : null;
+  };
+
+  /**
+   * Position of a Files-changed / commit-page thread: file, side, the commented range
+   * on that side (lineStart/lineEnd), old and new line numbers of its first and last
+   * rows, the commit it was made on and the commented code.
+   */
+  const diffLocation = (thread) => {
+    const scope = formScope(thread);
+    const file = thread.closest(".file, .js-file");
+    const table = thread.closest("table");
+    const anchor = anchorRangeIn(thread);
+    const row = diffRowAbove(thread);
+    const rowNums = row ? rowLineNumbers(row) : { old: null, new: null };
+    const side =
+      normalizeSide(formValue(scope, "side")) ||
+      anchor?.side ||
+      splitCellSide(thread) ||
+      (rowNums.new !== null ? "RIGHT" : rowNums.old !== null ? "LEFT" : null);
+    const column = side === "LEFT" ? "old" : "new";
+    const lineEnd =
+      toLineNumber(formValue(scope, "line")) ??
+      anchor?.lineEnd ??
+      rowNums[column];
+    const startSide =
+      normalizeSide(formValue(scope, "start_side")) ||
+      anchor?.startSide ||
+      side;
+    const lineStart =
+      toLineNumber(formValue(scope, "start_line")) ??
+      anchor?.lineStart ??
+      lineEnd;
+
+    const lastRow =
+      row && rowNums[column] === lineEnd
+        ? row
+        : table && lineEnd !== null
+          ? diffRowAt(table, side, lineEnd)
+          : null;
+    const firstRow =
+      lineStart === lineEnd && startSide === side
+        ? lastRow
+        : table && lineStart !== null
+          ? diffRowAt(table, startSide, lineStart)
+          : null;
+    // Rows not on the page (collapsed hunk): only the commented side is known
+    const known = sideLines(side, lineStart, lineEnd);
+    const first = firstRow
+      ? rowLineNumbers(firstRow)
+      : { old: known.oldLineStart, new: known.newLineStart };
+    const last = lastRow
+      ? rowLineNumbers(lastRow)
+      : { old: known.oldLineEnd, new: known.newLineEnd };
+
+    return {
+      filePath:
+        formValue(scope, "path") ||
+        file?.querySelector("[data-path]")?.getAttribute("data-path") ||
+        file?.getAttribute("data-tagsearch-path") ||
+        findFilePathInFrame(thread),
+      lineStart,
+      lineEnd,
+      side,
+      oldLineStart: first.old,
+      oldLineEnd: last.old,
+      newLineStart: first.new,
+      newLineEnd: last.new,
+      commitId: formValue(scope, "commit_id") || commitFromPath(),
+      codeMentioned:
+        firstRow && lastRow ? codeBetween(firstRow, lastRow, side) : null,
+    };
+  };
+
+  // Position of a Conversation-tab thread, in the same shape as diffLocation()
+  const frameLocation = (frame) => {
+    const { lineStart, lineEnd, side } = findLineRangeInFrame(frame);
+    return {
+      filePath: findFilePathInFrame(frame),
+      lineStart,
+      lineEnd,
+      side,
+      ...sideLines(side, lineStart, lineEnd),
+      commitId: formValue(frame, "commit_id"),
+      codeMentioned: findCodeMentionedInFrame(frame),
+    };
+  };
+
+  const extractAllSuggestions = (settings) => {
+    const locate = isDiffView() ? diffLocation : frameLocation;
     const all = [];
-    frames.forEach((frame) => {
+    reviewThreads().forEach((frame) => {
       const comments = findCommentRootsInTurboFrame(frame);
+      const threadCtx = extractThreadContext(frame, comments);
+      const position = locate(frame);
+      // In a thread started or joined by Copilot, only Copilot's comments become
+      // suggestions; everyone else's comments travel along as replies.
+      const copilotThread = threadCtx.comments.some((c) => c.isCopilot);
       comments.forEach((commentRoot, idx) => {
+        if (copilotThread && !threadCtx.comments[idx].isCopilot) return;
         // Prefer Copilot-authored comments, but if none detected we still include suggestions
-        const copilot = isCopilotAuthor(commentRoot);
-        const suggestions = extractSuggestionsFromComment(commentRoot);
+        const copilot =
+          copilotThread ||
+          isCopilotAuthor(commentRoot, {
+            contentHint: settings.copilotContentHint,
+          });
+        const suggestions = extractSuggestionsFromComment(
+          commentRoot,
+          settings,
+        );
         const anchor = getAnchorUrlForComment(commentRoot);
-        const frameId =
-          frame.id || `frame-${hashString(frame.outerHTML.slice(0, 512))}`;
+        // IDs are "<anchor>:<fingerprint>", the anchor being "<comment anchor>:<i>"
+        const commentAnchor = commentAnchorFor(frame, commentRoot, idx);
         suggestions.forEach((text, i) => {
-          const id = `${frameId}:${idx}:${i}:${hashString(text)}`;
+          const fingerprint = hashString(text);
+          const id = `${commentAnchor}:${i}:${fingerprint}`;
           const context = {
-            filePath: findFilePathInFrame(frame),
-            ...findLineRangeInFrame(frame),
-            codeMentioned: findCodeMentionedInFrame(frame),
+            ...position,
             reviewText: extractReviewTextOnly(commentRoot),
             suggestedChange: extractPrimarySuggestedChange(commentRoot),
           };
+          context.replacement = extractSuggestionReplacement(
+            commentRoot,
+            context,
+          );
 
           all.push({
             id,
+            anchor: `${commentAnchor}:${i}`,
+            fingerprint,
             text,
-            summary: summarize(context.reviewText || text),
+            summary: summarize(
+              context.reviewText || text,
+              settings.summaryMaxLength,
+            ),
             sourceUrl: anchor,
             isCopilot: copilot,
+            author: threadCtx.comments[idx].author,
             filePath: context.filePath || null,
             lineStart: context.lineStart,
             lineEnd: context.lineEnd,
+            side: context.side,
+            oldLineStart: context.oldLineStart,
+            oldLineEnd: context.oldLineEnd,
+            newLineStart: context.newLineStart,
+            newLineEnd: context.newLineEnd,
+            commitId: context.commitId || null,
             codeMentioned: context.codeMentioned,
             reviewText: context.reviewText,
             suggestedChange: context.suggestedChange,
+            replacement: context.replacement,
+            applied: isSuggestionApplied(commentRoot),
+            thread: threadFieldFor(threadCtx, idx),
+            frameId: frame.id,
           });
         });
       });
     });
 
-    // If any Copilot-authored suggestions exist, filter to those; else return all
+    return all;
+  };
+
+  // --------------------- Page links ---------------------
+  //
+  // Two-way link between panel rows and review threads on the page: rows scroll to
+  // (and flash) their thread; hovering a thread highlights its rows.
+
+  // The thread element for a suggestion: found by GitHub's comment id when known
+  // (so API items link too), else by the turbo-frame it was read from
+  const threadElementFor = (s) => {
+    const dbId = (s.anchor || "").match(/^r(\d+):/)?.[1];
+    const comment = dbId && document.getElementById(`discussion_r${dbId}`);
+    if (comment) return comment.closest(threadSelector()) || comment;
+    return (s.frameId && document.getElementById(s.frameId)) || null;
+  };
+
+  // Open collapsed (resolved / outdated) sections around and inside the thread
+  const expandThread = (el) => {
+    for (
+      let d = el.closest("details");
+      d;
+      d = d.parentElement?.closest("details")
+    ) {
+      d.open = true;
+    }
+    el.querySelectorAll("details-collapsible details:not([open])").forEach(
+      (d) => {
+        d.open = true;
+      },
+    );
+  };
+
+  const flashElement = (el) => {
+    el.animate?.(
+      [
+        {
+          boxShadow: "0 0 0 3px rgba(9, 105, 218, 0.6)",
+          backgroundColor: "rgba(9, 105, 218, 0.12)",
+        },
+        {
+          boxShadow: "0 0 0 3px rgba(9, 105, 218, 0)",
+          backgroundColor: "transparent",
+        },
+      ],
+      { duration: 1600, easing: "ease-out" },
+    );
+  };
+
+  /** Scroll a suggestion's thread into view and flash it; false if it is not on the page. */
+  const revealThread = (s) => {
+    const el = threadElementFor(s);
+    if (!el) return false;
+    expandThread(el);
+    el.scrollIntoView?.({ behavior: "smooth", block: "center" });
+    flashElement(el);
+    return true;
+  };
+
+  // If any Copilot-authored suggestions exist, filter to those; else all of them,
+  // or none when settings.copilotFallback is "none"
+  const preferCopilot = (all, settings) => {
     const hasCopilot = all.some((s) => s.isCopilot);
-    return hasCopilot ? all.filter((s) => s.isCopilot) : all;
+    if (hasCopilot) return all.filter((s) => s.isCopilot);
+    return settings.copilotFallback === "none" ? [] : all;
+  };
+
+  // Drop resolved/outdated threads when the options say so
+  const applyThreadFilters = (all, settings) =>
+    all.filter(
+      (s) =>
+        !(settings.skipResolvedThreads && s.thread?.resolved) &&
+        !(settings.skipOutdatedThreads && s.thread?.outdated),
+    );
+
+  // --------------------- Reviewer filter ---------------------
+  //
+  // settings.reviewerRules maps "owner/repo" (or "*" for every repo) to a list of
+  // case-insensitive regexes matched against comment authors. Without rules the
+  // original behaviour applies: Copilot only, or everyone if Copilot hasn't commented.
+
+  const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+  const currentRepoKey = () => {
+    const pr = parsePRLocation();
+    return pr ? `${pr.owner}/${pr.repo}` : null;
+  };
+
+  // Rules for this repository, falling back to "*"; null when none are saved
+  const reviewerRulesFor = (settings) => {
+    const rules = settings.reviewerRules || {};
+    const key = currentRepoKey();
+    const list = key && key in rules ? rules[key] : rules["*"];
+    return Array.isArray(list) ? list : null;
+  };
+
+  const compileReviewerRules = (rules) =>
+    rules
+      .map((r) => {
+        try {
+          return new RegExp(r, "i");
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+  const authorName = (s) => s.author || (s.isCopilot ? "Copilot" : "");
+
+  const applyReviewerFilter = (all, settings) => {
+    const rules = reviewerRulesFor(settings);
+    if (!rules) return preferCopilot(all, settings);
+    const regexes = compileReviewerRules(rules);
+    return all.filter((s) => regexes.some((re) => re.test(authorName(s))));
+  };
+
+  // Authors found on the PR with their suggestion counts, most active first
+  const detectAuthors = (all) => {
+    const counts = new Map();
+    all.forEach((s) => {
+      const name = authorName(s);
+      counts.set(name, (counts.get(name) || 0) + 1);
+    });
+    return Array.from(counts, ([name, count]) => ({ name, count })).sort(
+      (a, b) => b.count - a.count || a.name.localeCompare(b.name),
+    );
+  };
+
+  /**
+   * Include or exclude one author on this repository by saving an exact-match rule.
+   * The first change on a repo starts from whoever is currently shown.
+   * Resolves with false if a broader saved regex still matches the author.
+   */
+  const setReviewerIncluded = async (name, include) => {
+    const key = currentRepoKey();
+    if (!key) return true;
+    const rules = { ...(state.settings.reviewerRules || {}) };
+    let list =
+      reviewerRulesFor(state.settings) ||
+      Array.from(new Set(state.suggestions.map(authorName))).map(
+        (n) => `^${escapeRegExp(n)}$`,
+      );
+    const exact = `^${escapeRegExp(name)}$`;
+    list = include
+      ? Array.from(new Set([...list, exact]))
+      : list.filter((r) => r !== exact);
+    rules[key] = list;
+    await CRTPSettings.save({ reviewerRules: rules });
+    return include || !compileReviewerRules(list).some((re) => re.test(name));
+  };
+
+  // API-backed extraction (opt-in via the options page). Results are cached briefly so
+  // DOM-mutation refreshes don't re-hit the API; the panel's Refresh button bypasses it.
+  const API_CACHE_MS = 60 * 1000;
+  const apiCache = { key: null, at: 0, items: null };
+
+  const extractApiSuggestions = async ({ force = false } = {}) => {
+    const pr = parsePRLocation();
+    if (!pr) throw new Error("not a pull request URL");
+    const key = `${pr.owner}/${pr.repo}#${pr.number}`;
+    if (
+      !force &&
+      apiCache.key === key &&
+      Date.now() - apiCache.at < API_CACHE_MS
+    ) {
+      return apiCache.items;
+    }
+    const resp = await CRTPProtocol.sendToBackground(
+      "CRTP_API_LIST_REVIEW_COMMENTS",
+      pr,
+    );
+    if (!resp.ok) throw new Error(resp.error.message);
+    const items = CRTPGitHubApi.commentsToSuggestions(
+      resp.comments,
+      {
+        summarize: (text) => summarize(text, state.settings.summaryMaxLength),
+        hashString,
+      },
+      resp.threads,
+    );
+    Object.assign(apiCache, { key, at: Date.now(), items });
+    return items;
+  };
+
+  // File context (opt-in via fileContextLines): the lines around each commented range
+  // at the PR's head commit. Files are cached per commit and path; the raw blob is
+  // read from this origin first (the page's session covers github.com; the redirect
+  // to the raw host must not carry credentials), then via the API.
+  const fileTextCache = new Map();
+  const headShaCache = { key: null, at: 0, sha: null };
+
+  // The merge box's expected head; commit_id inputs may name an older commit
+  const headShaFromPage = () => {
+    const value = document
+      .querySelector('input[name="expected_head_oid"]')
+      ?.value?.trim();
+    return /^[0-9a-f]{40}$/i.test(value || "") ? value : null;
+  };
+
+  // Concurrent callers (file context, patch files) share one request
+  const resolveHeadSha = (pr) => {
+    const key = `${pr.owner}/${pr.repo}#${pr.number}`;
+    if (
+      headShaCache.key !== key ||
+      Date.now() - headShaCache.at >= API_CACHE_MS
+    ) {
+      const pending = CRTPProtocol.sendToBackground(
+        "CRTP_API_PULL_HEAD",
+        pr,
+      ).then((resp) => {
+        const sha = resp.ok && resp.sha ? resp.sha : headShaFromPage();
+        if (!sha) throw new Error(resp.error?.message || "head commit unknown");
+        return sha;
+      });
+      Object.assign(headShaCache, { key, at: Date.now(), sha: pending });
+      // Failures are retried on the next call
+      pending.catch(() => {
+        if (headShaCache.sha === pending) headShaCache.key = null;
+      });
+    }
+    return headShaCache.sha;
+  };
+
+  const fetchFileText = (pr, sha, path) => {
+    const key = `${sha}:${path}`;
+    if (!fileTextCache.has(key)) {
+      const load = async () => {
+        const rawUrl = `${location.origin}/${pr.owner}/${pr.repo}/raw/${sha}/${path
+          .split("/")
+          .map(encodeURIComponent)
+          .join("/")}`;
+        try {
+          const res = await fetch(rawUrl);
+          if (res.ok) return await res.text();
+        } catch {
+          // fall back to the API
+        }
+        const resp = await CRTPProtocol.sendToBackground(
+          "CRTP_API_FILE_CONTENT",
+          { owner: pr.owner, repo: pr.repo, path, ref: sha },
+        );
+        if (!resp.ok) throw new Error(resp.error.message);
+        return resp.text;
+      };
+      const pending = load();
+      fileTextCache.set(key, pending);
+      // Failures are retried on the next refresh
+      pending.catch(() => fileTextCache.delete(key));
+    }
+    return fileTextCache.get(key);
+  };
+
+  /**
+   * Set `fileContext` ({ commit, commitShort, startLine, endLine, excerpt }) on
+   * items with a file and line range, read at the PR's head commit. Outdated threads
+   * are skipped because their lines no longer match the head, and so are comments
+   * on removed (LEFT) lines.
+   * Resolves with the number of files that could not be read.
+   */
+  const attachFileContext = async (items, contextLines) => {
+    const pr = parsePRLocation();
+    const wanted = items.filter(
+      (s) =>
+        s.filePath && s.lineEnd && !s.thread?.outdated && s.side !== "LEFT",
+    );
+    if (!pr || wanted.length === 0) return 0;
+    const sha = await resolveHeadSha(pr);
+    const failed = new Set();
+    await Promise.all(
+      wanted.map(async (s) => {
+        let text;
+        try {
+          text = await fetchFileText(pr, sha, s.filePath);
+        } catch {
+          failed.add(s.filePath);
+          return;
+        }
+        const excerpt = CRTPTemplates.fileExcerpt(text, {
+          lineStart: s.lineStart,
+          lineEnd: s.lineEnd,
+          contextLines,
+        });
+        s.fileContext = excerpt
+          ? { commit: sha, commitShort: sha.slice(0, 7), ...excerpt }
+          : null;
+      }),
+    );
+    return failed.size;
+  };
+
+  // Head-revision text of the files suggested changes touch, so patches carry
+  // real context lines (see patch.js); filled in after each refresh
+  const patchFiles = new Map();
+  let patchFilesSha = null;
+
+  const patchOptions = () => ({ files: patchFiles });
+
+  /** Read every file a suggested change touches at the PR head into patchFiles. */
+  const loadPatchFiles = async (items) => {
+    const pr = parsePRLocation();
+    const paths = new Set(
+      items
+        .filter((s) => s.replacement && s.filePath && s.side !== "LEFT")
+        .map((s) => s.filePath),
+    );
+    if (!pr || paths.size === 0) return;
+    const head = await resolveHeadSha(pr);
+    if (head !== patchFilesSha) {
+      patchFiles.clear();
+      patchFilesSha = head;
+    }
+    await Promise.all(
+      [...paths]
+        .filter((path) => !patchFiles.has(path))
+        .map(async (path) => {
+          try {
+            patchFiles.set(path, await fetchFileText(pr, head, path));
+          } catch {
+            // that file's hunks fall back to the thread snippet (patch.js)
+          }
+        }),
+    );
   };
 
   // --------------------- UI ---------------------
@@ -503,45 +1332,161 @@
       shadow,
       panel,
       listContainer,
+      reviewersBar,
+      toolbar,
+      filterBar,
+      extensionChips,
       headerInfo,
       copyBtn,
       copyMdBtn,
       copyJsonBtn,
+      copyPatchBtn,
+      downloadSelect,
+      sendBtn,
+      resultPane,
       selectAllBtn,
       refreshBtn,
+      templateSelect,
+      tokenBar,
+      helpBtn,
+      helpOverlay,
+      tabBar,
+      customBar,
+      toast,
       statusMsg;
-    const deselected = storage.getDeselectedSet();
-    const ignored = storage.getIgnoredSet();
+    // Filled from chrome.storage by loadSelectionState()
+    const deselected = new Set();
+    const ignored = new Set();
+    // anchor -> fingerprint of the text last acknowledged, to flag edited suggestions
+    let seen = {};
+    // anchor -> when the suggestion was first extracted on this PR
+    let firstSeen = {};
+    // Start of the current visit (stored per PR); until it is loaded, this page load
+    let visitStartedAt = Date.now();
+    let lastTouchAt = Date.now();
+    // Panel-only view state (not saved): filters, search, sort and grouping
+    const view = {
+      onlyNew: false,
+      query: "",
+      hasChange: false,
+      hasCode: false,
+      extensions: new Set(),
+      sort: "page",
+      groupByFile: false,
+      collapsed: new Set(),
+      // Offer "Copy part i of n" when the selection is over the token budget
+      split: false,
+      // "suggestions" or "skipped"
+      tab: "suggestions",
+    };
+    // Keyboard triage: id of the row under the cursor and, newest last, the ids
+    // skipped by each Skip (one comment's Skip can cover several suggestions)
+    let cursorId = null;
+    const skipHistory = [];
+    // anchor -> reason given when skipping, exported as review feedback
+    let skipReasons = {};
+    // id -> { note, summary, text } from the row editor
+    let annotations = {};
+    // id -> unsaved editor fields, for every row whose editor is open
+    const editing = new Map();
+    // Free-form items the user added to this PR (see customSuggestions)
+    let customItems = [];
+    // Unsaved "Add custom item" form, or null while it is closed
+    let customDraft = null;
+    // Prompt templates (built-ins until chrome.storage has been read)
+    const templates = {
+      list: CRTPTemplates.BUILTIN_TEMPLATES,
+      activeId: CRTPTemplates.DEFAULT_TEMPLATE_ID,
+    };
 
     const styles = `
       :host { all: initial; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif, "Apple Color Emoji", "Segoe UI Emoji"; color: #24292f; }
       .crtp-panel { position: fixed; right: 16px; top: 16px; bottom: auto; width: 450px; max-height: 80vh; background: #fff; border: 1px solid #d0d7de; border-radius: 12px; box-shadow: 0 8px 24px rgba(140,149,159,0.2); z-index: 2147483647; display: none; flex-direction: column; overflow: hidden; animation: crtp-slide-down 0.2s ease-out; }
       @keyframes crtp-slide-down { from { opacity: 0; transform: translateY(-10px); } to { opacity: 1; transform: translateY(0); } }
       .crtp-panel.open { display: flex; }
+      .crtp-panel.crtp-pos-top-left { right: auto; left: 16px; }
+      .crtp-panel.crtp-pos-bottom-right { top: auto; bottom: 16px; }
+      .crtp-panel.crtp-pos-bottom-left { top: auto; bottom: 16px; right: auto; left: 16px; }
       .crtp-header { display: flex; align-items: center; justify-content: space-between; padding: 12px 16px; border-bottom: 1px solid #d0d7de; background: #f6f8fa; }
       .crtp-title { font-size: 14px; font-weight: 600; color: #24292f; }
-      .crtp-actions { display: flex; gap: 8px; align-items: center; }
+      .crtp-actions { display: flex; flex-wrap: wrap; justify-content: flex-end; gap: 8px; align-items: center; }
       .crtp-btn { font-size: 12px; padding: 5px 10px; border-radius: 6px; border: 1px solid rgba(27,31,36,0.15); background: #f6f8fa; color: #24292f; cursor: pointer; font-weight: 500; transition: all 0.2s; }
       .crtp-btn.primary { background: #0969da; color: #fff; border-color: rgba(27,31,36,0.15); }
       .crtp-btn:hover { background-color: #f3f4f6; border-color: rgba(27,31,36,0.15); }
       .crtp-btn.primary:hover { background: #0550ae; }
+      .crtp-select { font-size: 12px; padding: 4px 6px; border-radius: 6px; border: 1px solid rgba(27,31,36,0.15); background: #f6f8fa; color: #24292f; max-width: 140px; cursor: pointer; }
       .crtp-status { font-size: 12px; color: #57606a; margin-left: 6px; }
       .crtp-body { overflow: auto; padding: 0; background: #fff; }
       .crtp-item { padding: 16px; border-bottom: 1px solid #d8dee4; display: flex; gap: 12px; align-items: start; transition: background 0.15s; }
       .crtp-item:hover { background: #f6f8fa; }
       .crtp-item:last-child { border-bottom: none; }
+      .crtp-item[data-id] { cursor: pointer; }
+      .crtp-item.crtp-linked { background: #ddf4ff; }
+      .crtp-item.crtp-cursor { background: #f6f8fa; box-shadow: inset 3px 0 0 #0969da; }
+      .crtp-panel:focus { outline: none; }
+      .crtp-help { position: absolute; inset: 48px 16px auto 16px; background: #fff; border: 1px solid #d0d7de; border-radius: 8px; box-shadow: 0 8px 24px rgba(140,149,159,0.3); padding: 12px 16px; display: none; flex-direction: column; gap: 8px; z-index: 1; }
+      .crtp-help.open { display: flex; }
+      .crtp-tabs { display: flex; gap: 4px; padding: 6px 16px 0; border-bottom: 1px solid #d0d7de; }
+      .crtp-tab { font-size: 12px; padding: 4px 10px; border: 1px solid transparent; border-bottom: none; border-radius: 6px 6px 0 0; background: none; color: #57606a; cursor: pointer; margin-bottom: -1px; }
+      .crtp-tab.active { background: #fff; border-color: #d0d7de; color: #24292f; font-weight: 600; }
+      .crtp-custom-bar { display: flex; }
+      .crtp-custom-bar .crtp-editor { flex: 1 1 100%; margin-top: 0; }
+      .crtp-custom { background: #ddf4ff; color: #0969da; border-color: #54aeff; }
+      .crtp-toast { display: none; align-items: center; gap: 8px; padding: 8px 16px; border-top: 1px solid #d0d7de; background: #ddf4ff; }
+      .crtp-toast.open { display: flex; }
+      .crtp-toast .crtp-label { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+      .crtp-reason { font-size: 12px; padding: 3px 6px; border: 1px solid #d0d7de; border-radius: 6px; max-width: 180px; }
+      .crtp-help td { padding: 2px 8px 2px 0; font-size: 12px; color: #24292f; }
+      .crtp-help kbd { font: 11px ui-monospace, SFMono-Regular, Menlo, monospace; padding: 1px 5px; border: 1px solid #d0d7de; border-bottom-width: 2px; border-radius: 4px; background: #f6f8fa; }
       .crtp-checkbox { margin-top: 3px; cursor: pointer; width: 16px; height: 16px; accent-color: #0969da; flex-shrink: 0; }
       .crtp-item-main { display: flex; flex-direction: column; gap: 4px; min-width: 0; flex: 1; }
       .crtp-meta { display: flex; flex-wrap: wrap; gap: 6px; font-size: 11px; color: #57606a; margin-bottom: 4px; align-items: center; }
       .crtp-file { font-family: ui-monospace, SFMono-Regular, SF Mono, Menlo, Consolas, Liberation Mono, monospace; background: #f6f8fa; padding: 2px 6px; border-radius: 4px; border: 1px solid #d0d7de; color: #24292f; }
       .crtp-lines { font-family: ui-monospace, SFMono-Regular, SF Mono, Menlo, Consolas, Liberation Mono, monospace; color: #57606a; background: #fff; border: 1px solid #d0d7de; padding: 2px 6px; border-radius: 4px; }
+      .crtp-reviewers { display: none; flex-wrap: wrap; gap: 6px 12px; align-items: center; padding: 8px 16px; border-bottom: 1px solid #d0d7de; font-size: 12px; }
+      .crtp-reviewer { display: inline-flex; align-items: center; gap: 4px; cursor: pointer; }
+      .crtp-author { font-weight: 600; color: #24292f; }
+      .crtp-tag { background: #fff8c5; color: #7d4e00; border: 1px solid #eac54f; padding: 1px 6px; border-radius: 999px; }
+      .crtp-toolbar-end { margin-left: auto; }
+      .crtp-filterbar { display: flex; flex-wrap: wrap; gap: 6px 8px; align-items: center; padding: 8px 16px; border-bottom: 1px solid #d0d7de; font-size: 12px; }
+      .crtp-search { flex: 1 1 100%; font-size: 12px; padding: 5px 8px; border: 1px solid #d0d7de; border-radius: 6px; box-sizing: border-box; }
+      .crtp-chips { display: contents; }
+      .crtp-chip { font-size: 11px; padding: 2px 8px; border-radius: 999px; border: 1px solid #d0d7de; background: #fff; color: #57606a; cursor: pointer; }
+      .crtp-chip.active { background: #ddf4ff; color: #0969da; border-color: #54aeff; }
+      .crtp-group-header { display: flex; align-items: center; gap: 8px; padding: 6px 16px; background: #f6f8fa; border-bottom: 1px solid #d8dee4; position: sticky; top: 0; z-index: 1; }
+      .crtp-group-toggle { flex: 1; min-width: 0; text-align: left; background: none; border: none; padding: 0; cursor: pointer; font-family: ui-monospace, SFMono-Regular, SF Mono, Menlo, Consolas, Liberation Mono, monospace; font-size: 12px; color: #24292f; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+      .crtp-lifecycle-new { background: #dafbe1; color: #1a7f37; border-color: #4ac26b; }
+      .crtp-lifecycle-unchanged { background: #f6f8fa; color: #57606a; border-color: #d0d7de; }
+      .crtp-lifecycle-outdated { background: #fff8c5; color: #7d4e00; border-color: #eac54f; }
+      .crtp-lifecycle-applied { background: #fbefff; color: #8250df; border-color: #c297ff; }
+      .crtp-severity-blocker { background: #ffebe9; color: #cf222e; border-color: #ff8182; }
+      .crtp-severity-should-fix { background: #fff1e5; color: #bc4c00; border-color: #ffb77c; }
+      .crtp-severity-nit { background: #f6f8fa; color: #57606a; border-color: #d0d7de; }
+      .crtp-edited { background: #ddf4ff; color: #0969da; border-color: #54aeff; font: inherit; cursor: pointer; }
+      .crtp-hand-edited { background: #fbefff; color: #8250df; border-color: #c297ff; }
+      .crtp-note { font-size: 13px; color: #24292f; margin-top: 8px; white-space: pre-wrap; padding: 6px 12px; border-left: 3px solid #8250df; background: #fbefff; border-radius: 0 6px 6px 0; }
+      .crtp-editor { display: flex; flex-direction: column; gap: 6px; margin-top: 8px; font-size: 12px; color: #57606a; }
+      .crtp-editor input, .crtp-editor textarea { font: inherit; font-size: 12px; color: #24292f; padding: 5px 8px; border: 1px solid #d0d7de; border-radius: 6px; box-sizing: border-box; width: 100%; }
+      .crtp-editor textarea { min-height: 56px; resize: vertical; }
+      .crtp-editor-actions { display: flex; gap: 6px; justify-content: flex-end; }
+      .crtp-edit-btn { font-size: 12px; color: #57606a; background: none; border: none; cursor: pointer; padding: 4px 8px; border-radius: 4px; }
+      .crtp-edit-btn:hover { color: #0969da; background: #ddf4ff; }
       .crtp-summary { font-size: 14px; font-weight: 600; line-height: 1.4; color: #1F2328; }
       .crtp-details { font-size: 13px; color: #57606a; margin-top: 8px; white-space: pre-wrap; background: #f6f8fa; padding: 8px 12px; border-radius: 6px; border: 1px solid #d0d7de; }
       .crtp-source { font-size: 11px; color: #57606a; text-decoration: underline; }
       .crtp-empty { padding: 32px; font-size: 14px; color: #57606a; text-align: center; display: flex; flex-direction: column; gap: 8px; }
       .crtp-footer { padding: 12px 16px; border-top: 1px solid #d0d7de; background: #f6f8fa; font-size: 12px; display: flex; align-items: center; justify-content: space-between; border-bottom-left-radius: 12px; border-bottom-right-radius: 12px; }
       .crtp-label { font-size: 12px; color: #57606a; }
+      .crtp-tokens { display: flex; align-items: center; gap: 6px; flex-wrap: wrap; }
+      .crtp-token-count { font-size: 12px; color: #57606a; }
+      .crtp-token-count.over { color: #cf222e; font-weight: 600; }
       .crtp-pill { display: inline-flex; align-items: center; gap: 6px; background: #ddf4ff; color: #0969da; border: 1px solid #b6e3ff; padding: 2px 8px; border-radius: 999px; font-size: 11px; font-weight: 600; }
+      .crtp-result { display: none; flex-direction: column; border-top: 1px solid #d0d7de; max-height: 40vh; min-height: 120px; }
+      .crtp-result.open { display: flex; }
+      .crtp-result-header { display: flex; align-items: center; gap: 8px; padding: 6px 16px; background: #f6f8fa; border-bottom: 1px solid #d8dee4; font-size: 12px; color: #57606a; }
+      .crtp-result-header .crtp-btn:first-of-type { margin-left: auto; }
+      .crtp-result-text { margin: 0; padding: 8px 16px; overflow: auto; flex: 1; font-family: ui-monospace, SFMono-Regular, SF Mono, Menlo, Consolas, Liberation Mono, monospace; font-size: 12px; white-space: pre-wrap; color: #24292f; }
+      .crtp-result-text.error { color: #cf222e; }
       .crtp-ignore-btn { font-size: 12px; color: #57606a; background: none; border: none; cursor: pointer; padding: 4px 8px; margin-left: auto; border-radius: 4px; }
       .crtp-ignore-btn:hover { color: #cf222e; background: #ffebe9; }
     `;
@@ -553,9 +1498,16 @@
       return el;
     };
 
-    const openPanel = () => panel.classList.add("open");
+    // Focus the panel when it opens so the triage keys work right away
+    const openPanel = () => {
+      panel.classList.add("open");
+      panel.focus({ preventScroll: true });
+    };
     const closePanel = () => panel.classList.remove("open");
-    const togglePanel = () => panel.classList.toggle("open");
+    const togglePanel = () => {
+      if (panel.classList.contains("open")) closePanel();
+      else openPanel();
+    };
 
     const setStatus = (text) => {
       statusMsg.textContent = text || "";
@@ -577,19 +1529,67 @@
       );
     };
 
+    // ".ts" for "src/a.ts"; "" when the file has no extension or there is no file
+    const extensionOf = (filePath) => {
+      const m = (filePath || "").match(/(\.[^./]+)$/);
+      return m ? m[1].toLowerCase() : "";
+    };
+
+    const compareBy = {
+      page: () => 0,
+      file: (a, b) =>
+        (a.filePath || "").localeCompare(b.filePath || "") ||
+        (a.lineStart || 0) - (b.lineStart || 0),
+      line: (a, b) =>
+        (a.lineStart || a.lineEnd || 0) - (b.lineStart || b.lineEnd || 0) ||
+        (a.filePath || "").localeCompare(b.filePath || ""),
+      author: (a, b) => authorName(a).localeCompare(authorName(b)),
+      severity: (a, b) =>
+        CRTPClassifier.severityRank(a.severity) -
+        CRTPClassifier.severityRank(b.severity),
+    };
+
+    // Items listed in the panel: not ignored, passing the view filters, in view order
+    const visibleItems = () => {
+      const query = view.query.trim().toLowerCase();
+      return state.suggestions
+        .filter(
+          (s) =>
+            !ignored.has(s.id) &&
+            (!view.onlyNew || s.lifecycle === "new") &&
+            (!view.hasChange || !!(s.replacement || s.suggestedChange)) &&
+            (!view.hasCode || !!s.codeMentioned) &&
+            (view.extensions.size === 0 ||
+              view.extensions.has(extensionOf(s.filePath))) &&
+            (!query || CRTPProtocol.matchesQuery(withAnnotation(s), query)),
+        )
+        .sort(compareBy[view.sort] || compareBy.page);
+    };
+
+    // Items the copy/download/send actions work on
+    const selectedItems = () =>
+      visibleItems().filter((s) => !deselected.has(s.id));
+
     const renderHeaderInfo = () => {
-      const items = state.suggestions.filter((s) => !ignored.has(s.id));
-      const count = items.filter((s) => !deselected.has(s.id)).length;
-      setHeaderInfo(items.length, count);
+      setHeaderInfo(visibleItems().length, selectedItems().length);
+      renderTokenBar();
     };
 
     const saveDeselection = () => storage.saveDeselectedSet(deselected);
     const saveIgnored = () => storage.saveIgnoredSet(ignored);
 
-    const onSelectAll = () => {
-      const visible = state.suggestions.filter((s) => !ignored.has(s.id));
-      const allIds = visible.map((s) => s.id);
-      const allSelected = allIds.every((id) => !deselected.has(id));
+    /** Select or deselect suggestions by id (CRTP_SELECT from the popup). */
+    const setSelected = (ids, selected) => {
+      ids.forEach((id) =>
+        selected ? deselected.delete(id) : deselected.add(id),
+      );
+      saveDeselection();
+      renderList();
+    };
+
+    const onSelectAll = () => {
+      const allIds = visibleItems().map((s) => s.id);
+      const allSelected = allIds.every((id) => !deselected.has(id));
       if (allSelected) {
         // Unselect all (add to deselected)
         allIds.forEach((id) => deselected.add(id));
@@ -602,15 +1602,13 @@
     };
 
     const onCopy = async () => {
-      let selected = state.suggestions.filter(
-        (s) => !ignored.has(s.id) && !deselected.has(s.id),
-      );
+      let selected = selectedItems();
       if (selected.length === 0) {
         setStatus("No suggestions selected to copy");
         return;
       }
-      const prompt = buildPrompt(selected);
       try {
+        const prompt = buildPrompt(selected);
         await navigator.clipboard.writeText(prompt);
         setStatus(`Copied ${selected.length} suggestion(s) to clipboard`);
       } catch (e) {
@@ -618,63 +1616,316 @@
       }
     };
 
-    const buildPrompt = (items) => {
-      const prUrl = location.href;
-      const header = [
-        "Task: Apply the following GitHub Copilot review suggestions to the codebase in this PR.",
-        `PR: ${prUrl}`,
-        "Instructions:",
-        "- For each item, implement the change described.",
-        "- If multiple files are impacted, update all relevant locations.",
-        "- Preserve existing behavior unless a change is explicitly requested.",
-        "",
-      ].join("\n");
-
-      const body = items
-        .map((s, idx) => {
-          const linesLabel =
-            s.lineStart && s.lineEnd
-              ? s.lineStart === s.lineEnd
-                ? `L${s.lineStart}`
-                : `L${s.lineStart}-L${s.lineEnd}`
-              : null;
-
-          const fileLine =
-            s.filePath || linesLabel
-              ? `File: ${s.filePath || "unknown"}${linesLabel ? ` (${linesLabel})` : ""}`
-              : null;
-
-          const review = s.reviewText ? `Review:\n${s.reviewText}` : null;
-
-          const codeMentioned = s.codeMentioned
-            ? `Code mentioned:\n${s.codeMentioned}`
-            : null;
-
-          let suggestionBlock = null;
-          if (s.suggestedChange) {
-            suggestionBlock = s.suggestedChange.trim().startsWith("Suggested")
-              ? s.suggestedChange
-              : `Suggested change:\n${s.suggestedChange}`;
-          } else if (s.text && s.text !== s.summary) {
-            suggestionBlock = s.text.trim().startsWith("Suggested")
-              ? s.text
-              : `Suggested change:\n${s.text}`;
-          }
+    // --------------------- Send to model ---------------------
+    //
+    // The prompt goes to background.js over a port; the response streams into a
+    // result pane below the list. Closing the pane (or sending again) disconnects
+    // the port, which aborts the request.
+
+    let llmPort = null;
+
+    const stopModel = () => {
+      if (llmPort) {
+        llmPort.disconnect();
+        llmPort = null;
+      }
+      resultPane.stopBtn.disabled = true;
+    };
+
+    const onSendToModel = () => {
+      const selected = selectedItems();
+      if (selected.length === 0) {
+        setStatus("No suggestions selected to send");
+        return;
+      }
+      let prompt;
+      try {
+        prompt = buildPrompt(selected);
+      } catch (e) {
+        setStatus("Prompt failed: " + (e?.message || "unknown error"));
+        return;
+      }
+
+      stopModel();
+      const { root, title, text, stopBtn } = resultPane;
+      root.classList.add("open");
+      text.classList.remove("error");
+      text.textContent = "";
+      title.textContent = "Sending…";
+      stopBtn.disabled = false;
+
+      let port;
+      try {
+        port = chrome.runtime.connect({ name: "crtp-llm" });
+      } catch (e) {
+        title.textContent = "Extension was reloaded; refresh the page";
+        return;
+      }
+      llmPort = port;
+      port.onMessage.addListener((msg) => {
+        if (port !== llmPort) return;
+        if (msg.type === "start") {
+          title.textContent = `Streaming from ${msg.model}…`;
+        } else if (msg.type === "delta") {
+          text.textContent += msg.text;
+          text.scrollTop = text.scrollHeight;
+        } else if (msg.type === "done") {
+          title.textContent = "Response complete";
+          stopModel();
+        } else if (msg.type === "error") {
+          title.textContent = "Request failed";
+          text.classList.add("error");
+          text.textContent +=
+            (text.textContent ? "\n\n" : "") +
+            msg.error +
+            (msg.status === 0
+              ? "\nCheck the base URL in Options and that the server is running."
+              : "");
+          stopModel();
+        }
+      });
+      port.onDisconnect.addListener(() => {
+        if (port !== llmPort) return;
+        llmPort = null;
+        stopBtn.disabled = true;
+        if (!/complete|failed/.test(title.textContent)) {
+          title.textContent = "Disconnected";
+        }
+      });
+      port.postMessage({ type: "CRTP_LLM_SEND", prompt });
+      setStatus(`Sent ${selected.length} suggestion(s) to model`);
+    };
+
+    const renderResultPane = () => {
+      const title = create("span", {});
+      const stopBtn = create("button", {
+        className: "crtp-btn",
+        innerText: "Stop",
+        disabled: true,
+      });
+      const copyResultBtn = create("button", {
+        className: "crtp-btn",
+        innerText: "Copy",
+      });
+      const closeBtn = create("button", {
+        className: "crtp-btn",
+        innerText: "Close",
+      });
+      const text = create("pre", { className: "crtp-result-text" });
+      const root = create("div", { className: "crtp-result" }, [
+        create("div", { className: "crtp-result-header" }, [
+          title,
+          stopBtn,
+          copyResultBtn,
+          closeBtn,
+        ]),
+        text,
+      ]);
+
+      stopBtn.addEventListener("click", () => {
+        stopModel();
+        title.textContent = "Stopped";
+      });
+      copyResultBtn.addEventListener("click", async () => {
+        try {
+          await navigator.clipboard.writeText(text.textContent);
+          setStatus("Copied model response");
+        } catch (e) {
+          setStatus("Copy failed: " + (e?.message || "unknown error"));
+        }
+      });
+      closeBtn.addEventListener("click", () => {
+        stopModel();
+        root.classList.remove("open");
+      });
+      return { root, title, text, stopBtn };
+    };
+
+    // `part` ({ number, total }) marks one prompt of a split selection
+    const buildPrompt = (items, { part } = {}) => {
+      const template = CRTPTemplates.getTemplate(
+        templates.list,
+        templates.activeId,
+      );
+      const { orderBySeverity, includeFollowUps } = state.settings;
+      const annotated = items.map(withAnnotation);
+      const ordered = orderBySeverity
+        ? CRTPClassifier.sortBySeverity(annotated)
+        : annotated;
+      return CRTPTemplates.renderPrompt(template.body, location.href, ordered, {
+        header: state.settings.promptHeader,
+        includeFollowUps,
+        orderedBySeverity: orderBySeverity,
+        part,
+      });
+    };
+
+    // --------------------- Token budget ---------------------
+    //
+    // The footer shows the estimated size of the Copy Prompt output for the active
+    // model profile (tokens.js). Over budget, split mode offers the selection as
+    // several prompts, one "Copy part i of n" button each.
 
-          return [
-            `#${idx + 1} ${s.summary}`,
-            fileLine,
-            codeMentioned,
-            review,
-            suggestionBlock,
-            "",
-          ]
-            .filter(Boolean)
-            .join("\n");
-        })
-        .join("\n");
+    const tokenProfiles = () =>
+      CRTPTokens.sanitizeProfiles(state.settings.tokenProfiles);
 
-      return header + "\n" + body;
+    // Rendered sizes in characters, so the bar and split mode don't re-render the
+    // whole prompt on every change: `base` is the prompt without items (`partBase`
+    // with a part header), `items` maps id -> { item, annotation, fileContext, chars }
+    // and an entry is reused while those are the same objects. Template or settings
+    // changes start over.
+    const promptSizes = {
+      template: null,
+      settings: null,
+      base: 0,
+      partBase: 0,
+      items: new Map(),
+    };
+
+    const measurePrompt = (items, part) => buildPrompt(items, { part }).length;
+
+    // Measures the selected items the cache lacks; run before reading sizes
+    const measureSelection = (selected) => {
+      const { body } = CRTPTemplates.getTemplate(
+        templates.list,
+        templates.activeId,
+      );
+      if (
+        promptSizes.template !== body ||
+        promptSizes.settings !== state.settings
+      ) {
+        Object.assign(promptSizes, {
+          template: body,
+          settings: state.settings,
+          base: measurePrompt([]),
+          partBase: measurePrompt([], { number: 99, total: 99 }),
+        });
+        promptSizes.items.clear();
+      }
+      selected.forEach((s) => {
+        const cached = promptSizes.items.get(s.id);
+        const annotation = annotations[s.id];
+        if (
+          cached?.item === s &&
+          cached.annotation === annotation &&
+          cached.fileContext === s.fileContext
+        ) {
+          return;
+        }
+        promptSizes.items.set(s.id, {
+          item: s,
+          annotation,
+          fileContext: s.fileContext,
+          chars: measurePrompt([s]) - promptSizes.base,
+        });
+      });
+    };
+
+    const itemTokens = (s, profile) =>
+      promptSizes.items.get(s.id).chars / profile.charsPerToken;
+
+    const sumTokens = (items, profile) =>
+      items.reduce((sum, s) => sum + itemTokens(s, profile), 0);
+
+    const promptTokens = (items, profile, { part = false } = {}) =>
+      Math.ceil(
+        (part ? promptSizes.partBase : promptSizes.base) /
+          profile.charsPerToken +
+          sumTokens(items, profile),
+      );
+
+    const promptParts = (items, profile) =>
+      CRTPTokens.split(items, CRTPTokens.budgetOf(profile), {
+        // Measured with a part header so the real parts fit too
+        base: promptSizes.partBase / profile.charsPerToken,
+        sizeOf: (s) => itemTokens(s, profile),
+      });
+
+    const onCopyPart = async (parts, index) => {
+      const part = { number: index + 1, total: parts.length };
+      try {
+        await navigator.clipboard.writeText(
+          buildPrompt(parts[index], { part }),
+        );
+        setStatus(
+          `Copied part ${part.number} of ${part.total} (${parts[index].length} suggestion(s))`,
+        );
+      } catch (e) {
+        setStatus("Copy failed: " + (e?.message || "unknown error"));
+      }
+    };
+
+    const renderTokenBar = () => {
+      if (!tokenBar) return;
+      tokenBar.innerHTML = "";
+      const profiles = tokenProfiles();
+      const profile = CRTPTokens.profileFor(
+        profiles,
+        state.settings.tokenProfileId,
+      );
+      const budget = CRTPTokens.budgetOf(profile);
+      const selected = selectedItems();
+      measureSelection(selected);
+      const tokens = selected.length ? promptTokens(selected, profile) : 0;
+      const over = tokens > budget;
+
+      const profileSelect = create(
+        "select",
+        {
+          className: "crtp-select",
+          title:
+            "Model profile for the token budget (edit profiles in Options)",
+        },
+        profiles.map((p) =>
+          create("option", { value: p.id, innerText: p.name }),
+        ),
+      );
+      profileSelect.value = profile.id;
+      profileSelect.addEventListener("change", () => {
+        CRTPSettings.save({ tokenProfileId: profileSelect.value }).catch((e) =>
+          setStatus("Not saved: " + (e?.message || "unknown error")),
+        );
+      });
+      tokenBar.append(
+        create("span", {
+          className: `crtp-token-count${over ? " over" : ""}`,
+          innerText: `~${tokens.toLocaleString()} / ${budget.toLocaleString()} tokens`,
+          title: `Estimated Copy Prompt size; ${profile.name} leaves ${budget.toLocaleString()} tokens after reserving ${profile.reserveTokens.toLocaleString()} for the reply`,
+        }),
+        profileSelect,
+      );
+      if (!over) return;
+
+      const splitBox = create("input", { type: "checkbox" });
+      splitBox.checked = view.split;
+      splitBox.addEventListener("change", () => {
+        view.split = splitBox.checked;
+        renderTokenBar();
+      });
+      tokenBar.appendChild(
+        create("label", { className: "crtp-label" }, [
+          splitBox,
+          document.createTextNode(" Split"),
+        ]),
+      );
+      if (!view.split) return;
+
+      const parts = promptParts(selected, profile);
+      parts.forEach((items, i) => {
+        const partBtn = create("button", {
+          className: "crtp-btn",
+          innerText: `Copy part ${i + 1} of ${parts.length}`,
+          title: `${items.length} suggestion(s), ~${promptTokens(
+            items,
+            profile,
+            {
+              part: true,
+            },
+          ).toLocaleString()} tokens`,
+        });
+        partBtn.addEventListener("click", () => onCopyPart(parts, i));
+        tokenBar.appendChild(partBtn);
+      });
     };
 
     const buildMarkdown = (items) => {
@@ -686,25 +1937,62 @@
             : `L${s.lineStart}-L${s.lineEnd}`
           : null;
 
-      const sections = items.map((s, idx) => {
+      const sections = items.map(withAnnotation).map((s, idx) => {
         const lineLabel = linesFor(s);
         const titleParts = [];
         if (s.filePath) titleParts.push(s.filePath);
-        if (lineLabel) titleParts.push(`(${lineLabel})`);
+        if (lineLabel) {
+          titleParts.push(
+            s.side === "LEFT" ? `(${lineLabel}, old side)` : `(${lineLabel})`,
+          );
+        }
         const title = titleParts.length ? `${titleParts.join(" ")}` : "";
 
         const blocks = [];
-        blocks.push(`### ${idx + 1}. ${s.summary}`);
+        blocks.push(
+          `### ${idx + 1}. ${s.summary}${s.origin === "user" ? " _(custom item)_" : ""}${s.handEdited ? " _(edited by reviewer)_" : ""}`,
+        );
         if (title) blocks.push(`File: ${title}`);
+        if (s.commitId) blocks.push(`Commit: ${s.commitId.slice(0, 7)}`);
+        if (s.severity) blocks.push(`Severity: ${s.severity} (${s.category})`);
         if (s.codeMentioned) {
           blocks.push(`Code mentioned:\n\n\`\`\`\n${s.codeMentioned}\n\`\`\``);
         }
+        if (s.fileContext) {
+          const { commitShort, startLine, endLine, excerpt } = s.fileContext;
+          blocks.push(
+            `File context at ${commitShort} (lines ${startLine}-${endLine}):\n\n${excerpt}`,
+          );
+        }
         if (s.reviewText) blocks.push(`Review:\n\n${s.reviewText}`);
+        if (s.origin === "user" && s.text !== s.summary) {
+          blocks.push(`Instruction:\n\n${s.text}`);
+        }
         if (s.suggestedChange) {
           blocks.push(
             `Suggested change:\n\n\`\`\`\n${s.suggestedChange}\n\`\`\``,
           );
         }
+        if (s.reviewerNote) {
+          blocks.push(
+            "Reviewer note:\n\n" +
+              s.reviewerNote
+                .split("\n")
+                .map((line) => `> ${line}`)
+                .join("\n"),
+          );
+        }
+        const threadState = CRTPTemplates.threadStateLabel(s);
+        if (threadState) blocks.push(`Thread: ${threadState}`);
+        const replies = s.thread?.replies || [];
+        if (replies.length) {
+          blocks.push(
+            "Replies:\n\n" +
+              replies
+                .map((r) => `> **${r.author || "unknown"}:** ${r.text}`)
+                .join("\n>\n"),
+          );
+        }
 
         return blocks.join("\n\n");
       });
@@ -713,128 +2001,1447 @@
     };
 
     const buildJSON = (items) => {
-      const normalized = items.map((s) => ({
+      const normalized = items.map(withAnnotation).map((s) => ({
         id: s.id,
+        // "user" for custom items, "review" for extracted review comments
+        origin: s.origin || "review",
+        fileContext: s.fileContext || null,
+        category: s.category || null,
+        severity: s.severity || null,
+        lifecycle: s.lifecycle || null,
+        applied: !!s.applied,
+        edited: !!s.edited,
+        author: s.author || null,
         filePath: s.filePath || null,
         lineStart: s.lineStart ?? null,
         lineEnd: s.lineEnd ?? null,
+        // Diff side of lineStart/lineEnd and both sides' numbers, where known
+        side: s.side || null,
+        oldLineStart: s.oldLineStart ?? null,
+        oldLineEnd: s.oldLineEnd ?? null,
+        newLineStart: s.newLineStart ?? null,
+        newLineEnd: s.newLineEnd ?? null,
+        commitId: s.commitId || null,
         summary: s.summary,
         codeMentioned: s.codeMentioned || null,
         reviewText: s.reviewText || null,
         suggestedChange: s.suggestedChange || null,
+        patch: CRTPPatch.buildItemPatch(s, patchOptions()),
+        thread: s.thread || null,
+        reviewerNote: s.reviewerNote || null,
+        handEdited: !!s.handEdited,
+        // The extracted wording, when summary/text were overridden in the panel
+        original: s.original || null,
+        sourceUrl: s.sourceUrl,
+      }));
+      // Why suggestions were skipped, as feedback on the review itself
+      const feedback = skippedItems().map((s) => ({
+        id: s.id,
+        author: s.author || null,
+        filePath: s.filePath || null,
+        lineStart: s.lineStart ?? null,
+        lineEnd: s.lineEnd ?? null,
+        summary: s.summary,
+        category: s.category || null,
+        reason: skipReasons[s.anchor] || null,
         sourceUrl: s.sourceUrl,
       }));
       return JSON.stringify(
-        { pr: location.href, suggestions: normalized },
+        { pr: location.href, suggestions: normalized, feedback },
         null,
         2,
       );
     };
 
-    const renderList = () => {
-      listContainer.innerHTML = "";
-      const items = state.suggestions.filter((s) => !ignored.has(s.id));
+    // Patch for the selected items, or null (with a status message) if there is none
+    const selectedPatch = () => {
+      const selected = selectedItems();
+      if (selected.length === 0) {
+        setStatus("No suggestions selected to copy");
+        return null;
+      }
+      const result = CRTPPatch.buildPatch(selected, patchOptions());
+      if (!result.patch) {
+        setStatus("None of the selected items has a suggested change");
+        return null;
+      }
+      return result;
+    };
+
+    const patchStatus = (verb, { included, skipped }) =>
+      `${verb} for ${included.length} suggestion(s)` +
+      (skipped.length
+        ? `; skipped ${skipped.length} without a usable change`
+        : "");
+
+    // Repo-relative path inside the zip bundle; never escapes the archive root
+    const bundlePath = (filePath) =>
+      filePath
+        .split("/")
+        .filter((part) => part && part !== "." && part !== "..")
+        .join("/");
+
+    // Files for the "Zip" download: the three exports plus one Markdown file per filePath
+    const bundleFiles = (items, base) => {
+      const files = [
+        { path: `${base}.md`, text: buildMarkdown(items) },
+        { path: `${base}.json`, text: buildJSON(items) },
+      ];
+      const { patch } = CRTPPatch.buildPatch(items, patchOptions());
+      if (patch) files.push({ path: `${base}.patch`, text: patch });
+      const byFile = new Map();
+      items.forEach((s) => {
+        if (!s.filePath) return;
+        if (!byFile.has(s.filePath)) byFile.set(s.filePath, []);
+        byFile.get(s.filePath).push(s);
+      });
+      byFile.forEach((fileItems, filePath) => {
+        files.push({
+          path: `files/${bundlePath(filePath)}.md`,
+          text: buildMarkdown(fileItems),
+        });
+      });
+      return files;
+    };
+
+    // Download request for `items` as "md" | "json" | "patch" | "zip", or { error }
+    // ({ code, message } in CRTPProtocol terms) when there is nothing to save
+    const exportRequest = (items, format) => {
+      const base = reviewFileBaseName();
+      const done = `Saved ${items.length} suggestion(s)`;
+      if (format === "md") {
+        return {
+          message: {
+            filename: `${base}.md`,
+            mimeType: "text/markdown",
+            text: buildMarkdown(items),
+          },
+          done,
+        };
+      }
+      if (format === "json") {
+        return {
+          message: {
+            filename: `${base}.json`,
+            mimeType: "application/json",
+            text: buildJSON(items),
+          },
+          done,
+        };
+      }
+      if (format === "patch") {
+        const result = CRTPPatch.buildPatch(items, patchOptions());
+        if (!result.patch) {
+          return {
+            error: {
+              code: CRTPProtocol.ERRORS.NO_PATCH,
+              message: "None of the selected items has a suggested change",
+            },
+          };
+        }
+        return {
+          message: {
+            filename: `${base}.patch`,
+            mimeType: "text/x-diff",
+            text: result.patch,
+          },
+          done: patchStatus("Saved patch", result),
+        };
+      }
+      return {
+        message: { filename: `${base}.zip`, files: bundleFiles(items, base) },
+        done,
+      };
+    };
+
+    /** Save `items` through background.js; resolves with { filename, status } or { error }. */
+    const exportItems = async (items, format) => {
+      const { message, done, error } = exportRequest(items, format);
+      if (error) return { error };
+      const resp = await saveDownload(message);
+      if (!resp.ok) {
+        return {
+          error: {
+            code: CRTPProtocol.ERRORS.DOWNLOAD_FAILED,
+            message: "Download failed: " + resp.error.message,
+          },
+        };
+      }
+      return {
+        filename: message.filename,
+        status: `${done} to ${message.filename}`,
+      };
+    };
+
+    const onDownload = async (format) => {
+      if (!CRTPProtocol.EXPORT_FORMATS.includes(format)) return;
+      const selected = selectedItems();
+      if (selected.length === 0) {
+        setStatus("No suggestions selected to download");
+        return;
+      }
+      setStatus("Saving…");
+      const result = await exportItems(selected, format);
+      setStatus(result.error ? result.error.message : result.status);
+    };
+
+    // One checkbox per author detected on the PR; toggling saves a rule for this repo
+    const renderReviewers = () => {
+      reviewersBar.innerHTML = "";
+      if (state.authors.length === 0) {
+        reviewersBar.style.display = "none";
+        return;
+      }
+      reviewersBar.style.display = "flex";
+      reviewersBar.appendChild(
+        create("span", { className: "crtp-label", innerText: "Reviewers:" }),
+      );
+      const shown = new Set(state.suggestions.map(authorName));
+      state.authors.forEach(({ name, count }) => {
+        const cb = create("input", { type: "checkbox" });
+        cb.checked = shown.has(name);
+        cb.addEventListener("change", async () => {
+          let ok;
+          try {
+            ok = await setReviewerIncluded(name, cb.checked);
+          } catch (e) {
+            cb.checked = !cb.checked;
+            setStatus("Not saved: " + (e?.message || "unknown error"));
+            return;
+          }
+          if (!ok) {
+            setStatus(
+              `${name || "unknown"} still matches a saved reviewer rule; edit it in Options`,
+            );
+          }
+        });
+        reviewersBar.appendChild(
+          create("label", { className: "crtp-reviewer" }, [
+            cb,
+            document.createTextNode(` ${name || "unknown"} (${count})`),
+          ]),
+        );
+      });
+    };
+
+    const LIFECYCLE_LABELS = {
+      new: "New",
+      unchanged: "Unchanged",
+      outdated: "Outdated",
+      applied: "Applied",
+    };
+    const LIFECYCLE_TITLES = {
+      new: "First seen on this visit",
+      unchanged: "Already seen on an earlier visit",
+      outdated: "GitHub marked this thread outdated (the code has changed)",
+      applied: "The suggested change was committed (Suggestion applied)",
+    };
+
+    const chip = (label, active, onClick, title) => {
+      const btn = create("button", {
+        className: `crtp-chip${active ? " active" : ""}`,
+        innerText: label,
+        title: title || "",
+      });
+      btn.addEventListener("click", onClick);
+      return btn;
+    };
+
+    // One chip per file extension among the listed suggestions (built with the list)
+    const renderExtensionChips = (items) => {
+      extensionChips.innerHTML = "";
+      const exts = Array.from(
+        new Set(items.map((s) => extensionOf(s.filePath))),
+      ).sort();
+      // Drop selections for extensions that no longer occur
+      view.extensions.forEach((e) => {
+        if (!exts.includes(e)) view.extensions.delete(e);
+      });
+      if (exts.length < 2) return;
+      exts.forEach((ext) => {
+        extensionChips.appendChild(
+          chip(ext || "no ext", view.extensions.has(ext), () => {
+            if (view.extensions.has(ext)) view.extensions.delete(ext);
+            else view.extensions.add(ext);
+            renderList();
+          }),
+        );
+      });
+    };
+
+    // Search, filter chips, sort and grouping; built once so typing keeps focus
+    const renderFilterBar = () => {
+      const search = create("input", {
+        type: "search",
+        className: "crtp-search",
+        placeholder: "Search suggestions…",
+        value: view.query,
+      });
+      search.addEventListener("input", () => {
+        view.query = search.value;
+        renderList();
+      });
+
+      const sortSelect = create(
+        "select",
+        { className: "crtp-select", title: "Sort order" },
+        [
+          create("option", { value: "page", innerText: "Page order" }),
+          create("option", { value: "file", innerText: "Sort by file" }),
+          create("option", { value: "line", innerText: "Sort by line" }),
+          create("option", { value: "author", innerText: "Sort by author" }),
+          create("option", {
+            value: "severity",
+            innerText: "Sort by severity",
+          }),
+        ],
+      );
+      sortSelect.value = view.sort;
+      sortSelect.addEventListener("change", () => {
+        view.sort = sortSelect.value;
+        renderList();
+      });
+
+      const group = create("input", { type: "checkbox" });
+      group.checked = view.groupByFile;
+      group.addEventListener("change", () => {
+        view.groupByFile = group.checked;
+        renderList();
+      });
+
+      const toggleChip = (key, label, title) => {
+        const btn = chip(
+          label,
+          view[key],
+          () => {
+            view[key] = !view[key];
+            btn.classList.toggle("active", view[key]);
+            renderList();
+          },
+          title,
+        );
+        return btn;
+      };
+
+      extensionChips = create("span", { className: "crtp-chips" });
+      return create("div", { className: "crtp-filterbar" }, [
+        search,
+        sortSelect,
+        create("label", { className: "crtp-reviewer" }, [
+          group,
+          document.createTextNode(" Group by file"),
+        ]),
+        toggleChip(
+          "hasChange",
+          "Has suggested change",
+          "Only suggestions with a suggested change or diff",
+        ),
+        toggleChip("hasCode", "Has code", "Only suggestions that quote code"),
+        extensionChips,
+      ]);
+    };
+
+    // Lifecycle counts and the "New only" filter
+    const renderToolbar = () => {
+      toolbar.innerHTML = "";
+      const items = state.suggestions.filter((s) => !ignored.has(s.id));
+      if (items.length === 0) {
+        toolbar.style.display = "none";
+        return;
+      }
+      toolbar.style.display = "flex";
+      const counts = {};
+      items.forEach((s) => {
+        if (s.lifecycle) counts[s.lifecycle] = (counts[s.lifecycle] || 0) + 1;
+      });
+      Object.keys(LIFECYCLE_LABELS).forEach((key) => {
+        if (!counts[key]) return;
+        toolbar.appendChild(
+          create("span", {
+            className: `crtp-tag crtp-lifecycle-${key}`,
+            innerText: `${counts[key]} ${LIFECYCLE_LABELS[key].toLowerCase()}`,
+            title: LIFECYCLE_TITLES[key],
+          }),
+        );
+      });
+      renderExtensionChips(items);
+      const onlyNew = create("input", { type: "checkbox" });
+      onlyNew.checked = view.onlyNew;
+      onlyNew.addEventListener("change", () => {
+        view.onlyNew = onlyNew.checked;
+        renderList();
+      });
+      toolbar.appendChild(
+        create(
+          "label",
+          {
+            className: "crtp-reviewer crtp-toolbar-end",
+            title:
+              "List, copy and export only suggestions that are new on this visit",
+          },
+          [onlyNew, document.createTextNode(" New only")],
+        ),
+      );
+    };
+
+    const renderList = () => {
+      renderReviewers();
+      listContainer.innerHTML = "";
+      renderToolbar();
+      renderTabs();
+      renderCustomBar();
+      renderInlineControls();
+      if (view.tab === "skipped") {
+        renderSkippedList();
+        renderHeaderInfo();
+        return;
+      }
+      const items = visibleItems();
+
+      if (items.length === 0) {
+        const filtered = state.suggestions.some((s) => !ignored.has(s.id));
+        listContainer.appendChild(
+          create("div", {
+            className: "crtp-empty",
+            innerText: view.onlyNew
+              ? "No new suggestions since your last visit."
+              : filtered
+                ? "No suggestions match the current search and filters."
+                : "No suggestions found. Try refreshing or expanding more review threads.",
+          }),
+        );
+        renderHeaderInfo();
+        return;
+      }
+
+      if (!view.groupByFile) {
+        items.forEach((s) => listContainer.appendChild(renderItem(s)));
+      } else {
+        const groups = new Map();
+        items.forEach((s) => {
+          const key = s.filePath || "";
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(s);
+        });
+        groups.forEach((groupItems, filePath) =>
+          listContainer.appendChild(renderGroup(filePath, groupItems)),
+        );
+      }
+
+      renderHeaderInfo();
+    };
+
+    // Collapsible section for one file with its own Select All/None
+    const renderGroup = (filePath, items) => {
+      const collapsed = view.collapsed.has(filePath);
+      const selectedCount = items.filter((s) => !deselected.has(s.id)).length;
+      const toggle = create("button", {
+        className: "crtp-group-toggle",
+        innerText: `${collapsed ? "▸" : "▾"} ${filePath || "General comments"}`,
+        title: collapsed ? "Expand" : "Collapse",
+      });
+      toggle.addEventListener("click", () => {
+        if (collapsed) view.collapsed.delete(filePath);
+        else view.collapsed.add(filePath);
+        renderList();
+      });
+      const groupSelectBtn = create("button", {
+        className: "crtp-btn",
+        innerText: "Select All/None",
+      });
+      groupSelectBtn.addEventListener("click", () => {
+        const ids = items.map((s) => s.id);
+        const allSelected = ids.every((id) => !deselected.has(id));
+        ids.forEach((id) =>
+          allSelected ? deselected.add(id) : deselected.delete(id),
+        );
+        saveDeselection();
+        renderList();
+      });
+      const header = create("div", { className: "crtp-group-header" }, [
+        toggle,
+        create("span", {
+          className: "crtp-label",
+          innerText: `${selectedCount}/${items.length}`,
+        }),
+        groupSelectBtn,
+      ]);
+      const group = create("div", { className: "crtp-group" }, [header]);
+      if (!collapsed) items.forEach((s) => group.appendChild(renderItem(s)));
+      return group;
+    };
+
+    const renderItem = (s) => {
+      const checkbox = create("input", {
+        type: "checkbox",
+        className: "crtp-checkbox",
+      });
+      checkbox.checked = !deselected.has(s.id);
+      checkbox.addEventListener("change", () => {
+        if (checkbox.checked) deselected.delete(s.id);
+        else deselected.add(s.id);
+        saveDeselection();
+        if (view.groupByFile) renderList();
+        else {
+          renderHeaderInfo();
+          renderInlineControls();
+        }
+      });
+
+      // Ignore button (custom items are deleted instead)
+      const custom = s.origin === "user";
+      const ignoreBtn = create("button", {
+        className: "crtp-ignore-btn",
+        innerText: custom ? "Delete" : "Skip",
+        title: custom ? "Delete this custom item" : "Remove from list",
+      });
+      ignoreBtn.addEventListener("click", () =>
+        custom ? deleteCustomItem(s) : skipItem(s),
+      );
+
+      const editBtn = create("button", {
+        className: "crtp-edit-btn",
+        innerText: editing.has(s.id) ? "Close" : "Edit",
+        title: "Add a note or rewrite this suggestion for the prompt",
+      });
+      editBtn.addEventListener("click", () => {
+        if (editing.has(s.id)) editing.delete(s.id);
+        else editing.set(s.id, null);
+        renderList();
+      });
+
+      const shown = withAnnotation(s);
+
+      // Meta info: Author, File path and Lines
+      const metaChildren = [];
+      if (custom) {
+        metaChildren.push(
+          create("span", {
+            className: "crtp-tag crtp-custom",
+            innerText: "Custom",
+            title: "Added by you",
+          }),
+        );
+      }
+      if (s.author) {
+        metaChildren.push(
+          create("span", { className: "crtp-author", innerText: s.author }),
+        );
+      }
+      if (s.filePath) {
+        metaChildren.push(
+          create("span", { className: "crtp-file", innerText: s.filePath }),
+        );
+      }
+
+      if (s.lineStart || s.lineEnd) {
+        const lr =
+          s.lineStart && s.lineEnd
+            ? s.lineStart === s.lineEnd
+              ? `L${s.lineStart}`
+              : `L${s.lineStart}-L${s.lineEnd}`
+            : s.lineStart
+              ? `L${s.lineStart}`
+              : s.lineEnd
+                ? `L${s.lineEnd}`
+                : "";
+        if (lr) {
+          const left = s.side === "LEFT";
+          metaChildren.push(
+            create("span", {
+              className: "crtp-lines",
+              innerText: left ? `${lr} (old)` : lr,
+              title: left ? "On the old side of the diff (removed lines)" : "",
+            }),
+          );
+        }
+      }
+
+      if (s.severity) {
+        metaChildren.push(
+          create("span", {
+            className: `crtp-tag crtp-severity-${s.severity}`,
+            innerText: `${s.severity} · ${s.category}`,
+            title: "Severity and category from the classifier rules (Options)",
+          }),
+        );
+      }
+      if (s.edited) {
+        const editedTag = create("button", {
+          className: "crtp-tag crtp-edited",
+          innerText: "Edited",
+          title:
+            "Edited since you last saw it. Selection was kept. Click to dismiss.",
+        });
+        editedTag.addEventListener("click", () => markSeen(s));
+        metaChildren.push(editedTag);
+      }
+      if (shown.handEdited) {
+        metaChildren.push(
+          create("span", {
+            className: "crtp-tag crtp-hand-edited",
+            innerText: "Hand-edited",
+            title: `Rewritten by you. Extracted summary:\n${s.summary}`,
+          }),
+        );
+      }
+      if (s.thread?.resolved) {
+        metaChildren.push(
+          create("span", { className: "crtp-tag", innerText: "Resolved" }),
+        );
+      }
+      if (s.lifecycle) {
+        metaChildren.push(
+          create("span", {
+            className: `crtp-tag crtp-lifecycle-${s.lifecycle}`,
+            innerText: LIFECYCLE_LABELS[s.lifecycle],
+            title: LIFECYCLE_TITLES[s.lifecycle],
+          }),
+        );
+      }
+      const replyCount = s.thread?.replies?.length || 0;
+      if (replyCount) {
+        metaChildren.push(
+          create("span", {
+            className: "crtp-tag",
+            innerText: `${replyCount} repl${replyCount === 1 ? "y" : "ies"}`,
+            title: s.thread.replies
+              .map((r) => `${r.author || "unknown"}: ${r.text}`)
+              .join("\n\n"),
+          }),
+        );
+      }
+
+      const meta = create("div", { className: "crtp-meta" }, metaChildren);
+
+      const summary = create("div", {
+        className: "crtp-summary",
+        innerText: shown.summary,
+      });
+
+      const detailsParts = [];
+      if (shown.reviewText) detailsParts.push(`Review:\n${shown.reviewText}`);
+      if (s.codeMentioned) detailsParts.push(`Code:\n${s.codeMentioned}`);
+      if (s.suggestedChange) {
+        detailsParts.push(`Suggested change:\n${s.suggestedChange}`);
+      } else if (
+        shown.text &&
+        shown.text !== shown.reviewText &&
+        shown.text !== shown.summary
+      ) {
+        detailsParts.push(shown.text);
+      }
+      const details = create("div", {
+        className: "crtp-details",
+        innerText: detailsParts.join("\n\n"),
+      });
+      if (detailsParts.length === 0) details.style.display = "none";
+
+      const mainChildren = [meta, summary, details];
+      if (shown.reviewerNote) {
+        mainChildren.push(
+          create("div", {
+            className: "crtp-note",
+            innerText: `Reviewer note: ${shown.reviewerNote}`,
+          }),
+        );
+      }
+      if (editing.has(s.id)) mainChildren.push(renderEditor(s));
+      const main = create("div", { className: "crtp-item-main" }, mainChildren);
+      const row = create(
+        "div",
+        { className: `crtp-item${s.id === cursorId ? " crtp-cursor" : ""}` },
+        [checkbox, main, editBtn, ignoreBtn],
+      );
+      row.dataset.id = s.id;
+      if (!custom) row.title = "Click to show this thread on the page";
+      row.addEventListener("click", (e) => {
+        // Controls in the row keep their own behaviour
+        if (e.target.closest("input, button, select, textarea, a")) return;
+        setCursor(s.id);
+        if (!custom) showThread(s);
+      });
+      return row;
+    };
+
+    const showThread = (s) => {
+      if (!revealThread(s)) {
+        setStatus("This thread is not on the page (try the Conversation tab)");
+      }
+    };
+
+    // Keep a row visible inside the list without scrolling the page
+    const scrollRowIntoList = (row) => {
+      const box = listContainer.getBoundingClientRect();
+      const rect = row.getBoundingClientRect();
+      if (rect.top < box.top) listContainer.scrollTop -= box.top - rect.top;
+      else if (rect.bottom > box.bottom) {
+        listContainer.scrollTop += rect.bottom - box.bottom;
+      }
+    };
+
+    // Hovering a review thread on the page highlights its rows
+    let hoveredThread = null;
+
+    const highlightRowsFor = (threadEl) => {
+      listContainer
+        .querySelectorAll(".crtp-linked")
+        .forEach((row) => row.classList.remove("crtp-linked"));
+      if (!threadEl || !panel.classList.contains("open")) return;
+      const ids = new Set(
+        visibleItems()
+          .filter((s) => threadElementFor(s) === threadEl)
+          .map((s) => s.id),
+      );
+      const rows = cursorRows().filter((row) => ids.has(row.dataset.id));
+      rows.forEach((row) => row.classList.add("crtp-linked"));
+      if (rows.length) scrollRowIntoList(rows[0]);
+    };
+
+    const onPageMouseOver = (e) => {
+      const thread =
+        e.target.closest?.(threadSelector()) ||
+        e.target.closest?.('[id^="discussion_r"]') ||
+        null;
+      if (thread === hoveredThread) return;
+      hoveredThread = thread;
+      highlightRowsFor(thread);
+    };
+
+    const skipItems = (items) => {
+      items.forEach((s) => ignored.add(s.id));
+      skipHistory.push(items.map((s) => s.id));
+      saveIgnored();
+      renderList();
+      showSkipToast(items);
+    };
+
+    const skipItem = (s) => skipItems([s]);
+
+    // --------------------- Notes and edits ---------------------
+    //
+    // Each row can carry a reviewer note and an override of its summary/text, saved
+    // per suggestion id. The stored items stay as extracted; withAnnotation() applies
+    // the edits when the prompt, Markdown and JSON are built.
+
+    const withAnnotation = (s) => {
+      const a = annotations[s.id];
+      if (!a) return s;
+      const out = { ...s, reviewerNote: a.note || null };
+      if (a.summary || a.text) {
+        out.handEdited = true;
+        out.original = { summary: s.summary, text: s.text };
+        if (a.summary) out.summary = a.summary;
+        if (a.text) {
+          out.text = a.text;
+          // The comment body is the item's text whenever it has one
+          if (s.reviewText) out.reviewText = a.text;
+        }
+      }
+      return out;
+    };
+
+    // Save the editor fields for `s`; empty fields (or unchanged wording) are dropped
+    const setAnnotation = (s, { note, summary, text }) => {
+      const next = {};
+      if (note.trim()) next.note = note.trim();
+      if (summary.trim() && summary.trim() !== s.summary) {
+        next.summary = summary.trim();
+      }
+      if (
+        text.trim() &&
+        text.trim() !== (s.reviewText || s.text || "").trim()
+      ) {
+        next.text = text.trim();
+      }
+      if (Object.keys(next).length) annotations[s.id] = next;
+      else delete annotations[s.id];
+      storage.saveAnnotations(annotations);
+    };
+
+    const renderEditor = (s) => {
+      const a = annotations[s.id] || {};
+      // Re-renders (e.g. a selection change in another tab) keep unsaved input
+      const draft = editing.get(s.id) || {
+        note: a.note || "",
+        summary: a.summary || s.summary,
+        text: a.text || s.reviewText || s.text || "",
+      };
+      const note = create("textarea", {
+        value: draft.note,
+        placeholder: "e.g. use our Result type instead",
+      });
+      const summary = create("input", { type: "text", value: draft.summary });
+      const text = create("textarea", { value: draft.text });
+      [note, summary, text].forEach((field) =>
+        field.addEventListener("input", () =>
+          editing.set(s.id, {
+            note: note.value,
+            summary: summary.value,
+            text: text.value,
+          }),
+        ),
+      );
+      const saveBtn = create("button", {
+        className: "crtp-btn primary",
+        innerText: "Save",
+      });
+      const resetBtn = create("button", {
+        className: "crtp-btn",
+        innerText: "Reset",
+        title: "Remove the note and go back to the extracted wording",
+      });
+      const cancelBtn = create("button", {
+        className: "crtp-btn",
+        innerText: "Cancel",
+      });
+      const close = () => {
+        editing.delete(s.id);
+        renderList();
+      };
+      saveBtn.addEventListener("click", () => {
+        setAnnotation(s, {
+          note: note.value,
+          summary: summary.value,
+          text: text.value,
+        });
+        close();
+      });
+      resetBtn.addEventListener("click", () => {
+        setAnnotation(s, { note: "", summary: "", text: "" });
+        close();
+      });
+      cancelBtn.addEventListener("click", close);
+      return create("div", { className: "crtp-editor" }, [
+        create("label", {}, [document.createTextNode("Reviewer note"), note]),
+        create("label", {}, [document.createTextNode("Summary"), summary]),
+        create("label", {}, [document.createTextNode("Text"), text]),
+        create("div", { className: "crtp-editor-actions" }, [
+          resetBtn,
+          cancelBtn,
+          saveBtn,
+        ]),
+      ]);
+    };
+
+    // --------------------- Custom items ---------------------
+    //
+    // Free-form instructions ("also add tests") with an optional file and line range,
+    // stored per PR. customSuggestions() turns them into items with `origin: "user"`
+    // that state.applyFilters() appends to the extracted ones, so selection, sorting,
+    // notes and every output format treat them like the rest.
+
+    const customSuggestions = () =>
+      customItems.map((c) => {
+        const s = {
+          id: c.id,
+          anchor: c.id,
+          fingerprint: "",
+          origin: "user",
+          text: c.text,
+          summary: summarize(c.text, state.settings.summaryMaxLength),
+          sourceUrl: currentPRUrl(),
+          isCopilot: false,
+          author: null,
+          filePath: c.filePath || null,
+          lineStart: c.lineStart ?? null,
+          lineEnd: c.lineEnd ?? null,
+          thread: null,
+        };
+        return Object.assign(
+          s,
+          CRTPClassifier.classify(s, state.classifierRules),
+        );
+      });
+
+    // "12" or "12-18" (an optional leading "L" on either number) -> { lineStart, lineEnd }
+    const parseLineRange = (value) => {
+      const m = value.trim().match(/^L?(\d+)(?:\s*-\s*L?(\d+))?$/i);
+      if (!m) return null;
+      const a = Number(m[1]);
+      const b = m[2] ? Number(m[2]) : a;
+      return { lineStart: Math.min(a, b), lineEnd: Math.max(a, b) };
+    };
+
+    const addCustomItem = ({ text, filePath, lines }) => {
+      const range = lines.trim() ? parseLineRange(lines) : {};
+      if (!text.trim()) {
+        setStatus("Write the instruction first");
+        return false;
+      }
+      if (!range) {
+        setStatus('Lines should look like "12" or "12-18"');
+        return false;
+      }
+      customItems = [
+        ...customItems,
+        {
+          id: `u${Date.now().toString(36)}`,
+          text: text.trim(),
+          filePath: filePath.trim() || null,
+          lineStart: range.lineStart ?? null,
+          lineEnd: range.lineEnd ?? null,
+          createdAt: Date.now(),
+        },
+      ];
+      storage.saveCustomItems(customItems);
+      state.applyFilters();
+      return true;
+    };
+
+    const deleteCustomItem = (s) => {
+      customItems = customItems.filter((c) => c.id !== s.id);
+      deselected.delete(s.id);
+      delete annotations[s.id];
+      editing.delete(s.id);
+      storage.saveCustomItems(customItems);
+      saveDeselection();
+      storage.saveAnnotations(annotations);
+      state.applyFilters();
+      setStatus("Deleted custom item");
+    };
+
+    const renderCustomBar = () => {
+      customBar.innerHTML = "";
+      customBar.style.display = view.tab === "skipped" ? "none" : "flex";
+      if (!customDraft) {
+        const addBtn = create("button", {
+          className: "crtp-btn",
+          innerText: "Add custom item",
+          title: 'Your own instruction for the prompt, e.g. "also add tests"',
+        });
+        addBtn.addEventListener("click", () => {
+          customDraft = { text: "", filePath: "", lines: "" };
+          renderCustomBar();
+          customBar.querySelector("textarea").focus();
+        });
+        customBar.append(
+          create("span", {
+            className: "crtp-label",
+            innerText: `Custom items (${customItems.length})`,
+          }),
+          create("span", { className: "crtp-toolbar-end" }, [addBtn]),
+        );
+        return;
+      }
+      const text = create("textarea", {
+        value: customDraft.text,
+        placeholder: "e.g. don't touch the public API",
+      });
+      const filePath = create("input", {
+        type: "text",
+        value: customDraft.filePath,
+        placeholder: "src/index.js",
+      });
+      const lines = create("input", {
+        type: "text",
+        value: customDraft.lines,
+        placeholder: "12-18",
+      });
+      [text, filePath, lines].forEach((field) =>
+        field.addEventListener("input", () => {
+          customDraft = {
+            text: text.value,
+            filePath: filePath.value,
+            lines: lines.value,
+          };
+        }),
+      );
+      const addBtn = create("button", {
+        className: "crtp-btn primary",
+        innerText: "Add",
+      });
+      const cancelBtn = create("button", {
+        className: "crtp-btn",
+        innerText: "Cancel",
+      });
+      addBtn.addEventListener("click", () => {
+        if (!addCustomItem(customDraft)) return;
+        customDraft = null;
+        renderCustomBar();
+      });
+      cancelBtn.addEventListener("click", () => {
+        customDraft = null;
+        renderCustomBar();
+      });
+      customBar.appendChild(
+        create("div", { className: "crtp-editor" }, [
+          create("label", {}, [document.createTextNode("Instruction"), text]),
+          create("label", {}, [
+            document.createTextNode("File (optional)"),
+            filePath,
+          ]),
+          create("label", {}, [
+            document.createTextNode("Lines (optional)"),
+            lines,
+          ]),
+          create("div", { className: "crtp-editor-actions" }, [
+            cancelBtn,
+            addBtn,
+          ]),
+        ]),
+      );
+    };
+
+    // --------------------- Skipped items ---------------------
+    //
+    // Skipped (ignored) items are listed under the "Skipped" tab with Restore and
+    // Restore all. Each skip can carry a reason, saved per anchor and exported by
+    // buildJSON as `feedback` on the review.
+
+    const SKIP_REASONS = [
+      "won't fix",
+      "false positive",
+      "duplicate",
+      "not applicable",
+    ];
+    const TOAST_MS = 6000;
+    let toastTimer = null;
+
+    const skippedItems = () =>
+      state.suggestions.filter((s) => ignored.has(s.id));
+
+    const setSkipReason = (items, reason) => {
+      const text = reason.trim();
+      items.forEach((s) => {
+        if (text) skipReasons[s.anchor] = text;
+        else delete skipReasons[s.anchor];
+      });
+      storage.saveSkipReasons(skipReasons);
+    };
+
+    const restoreItems = (items) => {
+      const restored = new Set(items.map((s) => s.id));
+      items.forEach((s) => {
+        ignored.delete(s.id);
+        delete skipReasons[s.anchor];
+      });
+      for (let i = skipHistory.length - 1; i >= 0; i--) {
+        skipHistory[i] = skipHistory[i].filter((id) => !restored.has(id));
+        if (skipHistory[i].length === 0) skipHistory.splice(i, 1);
+      }
+      saveIgnored();
+      storage.saveSkipReasons(skipReasons);
+      hideToast();
+      renderList();
+    };
+
+    // Text box for the skip reason of `items`, with the usual reasons as completions
+    const reasonInput = (items) => {
+      const input = create("input", {
+        type: "text",
+        className: "crtp-reason",
+        placeholder: "Reason (optional)",
+        value: skipReasons[items[0].anchor] || "",
+        title: "Why this suggestion was skipped; exported as review feedback",
+      });
+      input.setAttribute("list", "crtp-skip-reasons");
+      input.addEventListener("change", () => setSkipReason(items, input.value));
+      return input;
+    };
+
+    const hideToast = () => {
+      clearTimeout(toastTimer);
+      if (toast) toast.classList.remove("open");
+    };
+
+    const showSkipToast = (items) => {
+      if (!toast) return;
+      clearTimeout(toastTimer);
+      toast.innerHTML = "";
+      const undoBtn = create("button", {
+        className: "crtp-btn",
+        innerText: "Undo",
+      });
+      undoBtn.addEventListener("click", undoSkip);
+      const reason = reasonInput(items);
+      // Keep the toast up while a reason is being typed
+      reason.addEventListener("focus", () => clearTimeout(toastTimer));
+      reason.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+          setSkipReason(items, reason.value);
+          hideToast();
+        }
+      });
+      const more = items.length > 1 ? ` and ${items.length - 1} more` : "";
+      toast.append(
+        create("span", {
+          className: "crtp-label",
+          innerText: `Skipped “${items[0].summary}”${more}`,
+        }),
+        reason,
+        undoBtn,
+      );
+      toast.classList.add("open");
+      toastTimer = setTimeout(hideToast, TOAST_MS);
+    };
+
+    // --------------------- Inline controls ---------------------
+    //
+    // An "Include in prompt" toggle and a Skip button in the header of every comment
+    // that produced suggestions. They use the panel's deselected/ignored sets and are
+    // re-synced on every render; controls lost to a Turbo re-render come back with
+    // the refresh the bodyObserver triggers.
+
+    const INLINE_ATTR = "data-crtp-inline";
+    const inlineStyles = `
+      :host { display: inline-flex; align-items: center; gap: 6px; margin-left: 8px; vertical-align: middle; font: 12px -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; }
+      label { display: inline-flex; align-items: center; gap: 4px; color: #57606a; cursor: pointer; white-space: nowrap; }
+      label.off { color: #8c959f; }
+      button { font: inherit; padding: 1px 8px; border: 1px solid #d0d7de; border-radius: 6px; background: #f6f8fa; color: #24292f; cursor: pointer; }
+      button:hover { background: #eaeef2; }
+    `;
+
+    const commentHeaderOf = (commentRoot) =>
+      commentRoot.querySelector(
+        ".timeline-comment-header, .review-comment-header, .comment-header",
+      ) ||
+      commentRoot.querySelector("a.author")?.parentElement ||
+      null;
+
+    // The control host in `header`, created (with its listeners) on first use.
+    // Listeners read `host.crtpItems`, which every sync refreshes.
+    const inlineControlFor = (header) => {
+      const existing = header.querySelector(`:scope > [${INLINE_ATTR}]`);
+      if (existing) return existing;
+      const host = document.createElement("span");
+      host.setAttribute(INLINE_ATTR, "1");
+      const root = host.attachShadow({ mode: "open" });
+      const style = document.createElement("style");
+      style.textContent = inlineStyles;
+      const checkbox = create("input", { type: "checkbox" });
+      const text = document.createTextNode("");
+      const label = create(
+        "label",
+        { title: "Include this comment's suggestions in the prompt" },
+        [checkbox, text],
+      );
+      const skipBtn = create("button", { type: "button" });
+      checkbox.addEventListener("change", () => {
+        host.crtpItems.forEach((s) =>
+          checkbox.checked ? deselected.delete(s.id) : deselected.add(s.id),
+        );
+        saveDeselection();
+        renderList();
+      });
+      skipBtn.addEventListener("click", () => {
+        const items = host.crtpItems;
+        const active = items.filter((s) => !ignored.has(s.id));
+        if (active.length) skipItems(active);
+        else restoreItems(items);
+      });
+      root.append(style, label, skipBtn);
+      host.crtpParts = { checkbox, text, label, skipBtn };
+      header.appendChild(host);
+      return host;
+    };
+
+    const updateInlineControl = (host, items) => {
+      host.crtpItems = items;
+      const { checkbox, text, label, skipBtn } = host.crtpParts;
+      const active = items.filter((s) => !ignored.has(s.id));
+      const included = active.filter((s) => !deselected.has(s.id)).length;
+      checkbox.disabled = active.length === 0;
+      checkbox.checked = included > 0;
+      checkbox.indeterminate = included > 0 && included < active.length;
+      text.textContent =
+        items.length > 1
+          ? ` Include in prompt (${items.length})`
+          : " Include in prompt";
+      label.classList.toggle("off", active.length === 0);
+      skipBtn.textContent = active.length ? "Skip" : "Restore";
+      skipBtn.title = active.length
+        ? "Skip (remove from the panel and prompt)"
+        : "Restore the skipped suggestion(s)";
+    };
 
-      if (items.length === 0) {
-        listContainer.appendChild(
-          create("div", {
-            className: "crtp-empty",
-            innerText:
-              "No suggestions found. Try refreshing or expanding more review threads.",
-          }),
-        );
-        renderHeaderInfo();
+    const renderInlineControls = () => {
+      if (!state.settings.inlineControls) {
+        document
+          .querySelectorAll(`[${INLINE_ATTR}]`)
+          .forEach((el) => el.remove());
         return;
       }
-
-      items.forEach((s) => {
-        const checkbox = create("input", {
-          type: "checkbox",
-          className: "crtp-checkbox",
-        });
-        checkbox.checked = !deselected.has(s.id);
-        checkbox.addEventListener("change", () => {
-          if (checkbox.checked) deselected.delete(s.id);
-          else deselected.add(s.id);
-          saveDeselection();
-          renderHeaderInfo();
+      const byAnchor = new Map();
+      state.suggestions.forEach((s) => {
+        const key = commentAnchorOf(s);
+        if (!byAnchor.has(key)) byAnchor.set(key, []);
+        byAnchor.get(key).push(s);
+      });
+      // Collect per header first: nested comment roots can share one header
+      const byHeader = new Map();
+      reviewThreads().forEach((frame) => {
+        findCommentRootsInTurboFrame(frame).forEach((commentRoot, idx) => {
+          const header = commentHeaderOf(commentRoot);
+          if (!header) return;
+          const items = byAnchor.get(commentAnchorFor(frame, commentRoot, idx));
+          if (!byHeader.has(header)) byHeader.set(header, []);
+          if (items) byHeader.get(header).push(...items);
         });
+      });
+      byHeader.forEach((items, header) => {
+        if (items.length) {
+          updateInlineControl(inlineControlFor(header), items);
+        } else {
+          header.querySelector(`:scope > [${INLINE_ATTR}]`)?.remove();
+        }
+      });
+    };
 
-        // Ignore button
-        const ignoreBtn = create("button", {
-          className: "crtp-ignore-btn",
-          innerText: "Skip",
-          title: "Remove from list",
+    const renderTabs = () => {
+      tabBar.innerHTML = "";
+      const skippedCount = skippedItems().length;
+      if (view.tab === "skipped" && skippedCount === 0)
+        view.tab = "suggestions";
+      const tab = (id, label) => {
+        const btn = create("button", {
+          className: `crtp-tab${view.tab === id ? " active" : ""}`,
+          innerText: label,
         });
-        ignoreBtn.addEventListener("click", () => {
-          ignored.add(s.id);
-          saveIgnored();
+        btn.addEventListener("click", () => {
+          view.tab = id;
           renderList();
-          renderHeaderInfo();
         });
+        return btn;
+      };
+      tabBar.append(
+        tab(
+          "suggestions",
+          `Suggestions (${state.suggestions.length - skippedCount})`,
+        ),
+        tab("skipped", `Skipped (${skippedCount})`),
+      );
+    };
 
-        // Meta info: File path and Lines
-        const metaChildren = [];
-        if (s.filePath) {
-          metaChildren.push(
-            create("span", { className: "crtp-file", innerText: s.filePath }),
-          );
-        }
+    const renderSkippedList = () => {
+      const items = skippedItems();
+      const restoreAll = create("button", {
+        className: "crtp-btn",
+        innerText: "Restore all",
+      });
+      restoreAll.addEventListener("click", () => restoreItems(items));
+      listContainer.appendChild(
+        create("div", { className: "crtp-group-header" }, [
+          create("span", {
+            className: "crtp-label",
+            innerText: `${items.length} skipped suggestion(s)`,
+          }),
+          restoreAll,
+        ]),
+      );
+      items.forEach((s) => {
+        const restore = create("button", {
+          className: "crtp-btn",
+          innerText: "Restore",
+        });
+        restore.addEventListener("click", () => restoreItems([s]));
+        const meta = [s.author, s.filePath, CRTPTemplates.linesLabelFor(s)]
+          .filter(Boolean)
+          .join(" · ");
+        listContainer.appendChild(
+          create("div", { className: "crtp-item" }, [
+            create("div", { className: "crtp-item-main" }, [
+              create("div", { className: "crtp-meta", innerText: meta }),
+              create("div", {
+                className: "crtp-summary",
+                innerText: s.summary,
+              }),
+              reasonInput([s]),
+            ]),
+            restore,
+          ]),
+        );
+      });
+    };
 
-        if (s.lineStart || s.lineEnd) {
-          const lr =
-            s.lineStart && s.lineEnd
-              ? s.lineStart === s.lineEnd
-                ? `L${s.lineStart}`
-                : `L${s.lineStart}-L${s.lineEnd}`
-              : s.lineStart
-                ? `L${s.lineStart}`
-                : s.lineEnd
-                  ? `L${s.lineEnd}`
-                  : "";
-          if (lr) {
-            metaChildren.push(
-              create("span", { className: "crtp-lines", innerText: lr }),
-            );
-          }
-        }
+    // --------------------- Keyboard triage ---------------------
+    //
+    // While the panel has focus: j/k move a cursor over the listed rows, space
+    // toggles, x skips, u restores the last skip, o opens the thread, c copies.
+    // The global shortcut to open the panel is a manifest command (background.js).
 
-        const meta = create("div", { className: "crtp-meta" }, metaChildren);
+    const KEY_BINDINGS = [
+      ["j / ↓", "Next suggestion"],
+      ["k / ↑", "Previous suggestion"],
+      ["Space", "Include / exclude in the prompt"],
+      ["x", "Skip (remove from the list)"],
+      ["u", "Undo the last skip"],
+      ["o", "Open the review thread in a new tab"],
+      ["Enter", "Show the thread on the page"],
+      ["c", "Copy Prompt"],
+      ["?", "Show / hide this help"],
+      ["Esc", "Close help, then the panel"],
+    ];
 
-        const summary = create("div", {
-          className: "crtp-summary",
-          innerText: s.summary,
-        });
+    const cursorRows = () =>
+      Array.from(listContainer.querySelectorAll(".crtp-item[data-id]"));
 
-        const detailsParts = [];
-        if (s.reviewText) detailsParts.push(`Review:\n${s.reviewText}`);
-        if (s.codeMentioned) detailsParts.push(`Code:\n${s.codeMentioned}`);
-        if (s.suggestedChange) {
-          detailsParts.push(`Suggested change:\n${s.suggestedChange}`);
-        } else if (s.text) {
-          detailsParts.push(s.text);
-        }
-        const details = create("div", {
-          className: "crtp-details",
-          innerText: detailsParts.join("\n\n"),
-        });
-        if (detailsParts.length === 0) details.style.display = "none";
+    const cursorRow = () =>
+      cursorRows().find((row) => row.dataset.id === cursorId) || null;
+
+    const setCursor = (id) => {
+      cursorId = id;
+      cursorRows().forEach((row) =>
+        row.classList.toggle("crtp-cursor", row.dataset.id === id),
+      );
+      cursorRow()?.scrollIntoView?.({ block: "nearest" });
+    };
 
-        const main = create("div", { className: "crtp-item-main" }, [
-          meta,
-          summary,
-          details,
-        ]);
-        const row = create("div", { className: "crtp-item" }, [
-          checkbox,
-          main,
-          ignoreBtn,
-        ]);
+    const moveCursor = (delta) => {
+      const rows = cursorRows();
+      if (rows.length === 0) return;
+      const i = rows.findIndex((row) => row.dataset.id === cursorId);
+      const next =
+        i === -1
+          ? delta > 0
+            ? 0
+            : rows.length - 1
+          : Math.min(rows.length - 1, Math.max(0, i + delta));
+      setCursor(rows[next].dataset.id);
+    };
 
-        listContainer.appendChild(row);
+    const undoSkip = () => {
+      const ids = skipHistory.pop();
+      if (!ids) {
+        setStatus("Nothing to undo");
+        return;
+      }
+      ids.forEach((id) => {
+        const s = state.suggestions.find((item) => item.id === id);
+        ignored.delete(id);
+        if (s) delete skipReasons[s.anchor];
       });
+      saveIgnored();
+      storage.saveSkipReasons(skipReasons);
+      hideToast();
+      cursorId = ids[0];
+      renderList();
+      setStatus("Restored the last skipped suggestion");
+    };
 
-      renderHeaderInfo();
+    const toggleHelp = (show = !helpOverlay.classList.contains("open")) => {
+      helpOverlay.classList.toggle("open", show);
+    };
+
+    const renderHelpOverlay = () => {
+      const rows = KEY_BINDINGS.map(([keys, action]) =>
+        create("tr", {}, [
+          create("td", {}, [create("kbd", { innerText: keys })]),
+          create("td", { innerText: action }),
+        ]),
+      );
+      const close = create("button", {
+        className: "crtp-btn",
+        innerText: "Close",
+      });
+      close.addEventListener("click", () => toggleHelp(false));
+      return create("div", { className: "crtp-help" }, [
+        create("div", {
+          className: "crtp-title",
+          innerText: "Keyboard shortcuts",
+        }),
+        create("table", {}, rows),
+        create("div", {
+          className: "crtp-label",
+          innerText:
+            "Alt+Shift+P toggles this panel from anywhere on the PR (change it at chrome://extensions/shortcuts).",
+        }),
+        close,
+      ]);
+    };
+
+    const onPanelKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      const target = e.target;
+      // Leave typing in the search box and native controls alone
+      if (target.matches?.("input:not([type=checkbox]), textarea, select")) {
+        return;
+      }
+      if (
+        (e.key === " " || e.key === "Enter") &&
+        target.matches?.("input, button")
+      ) {
+        return;
+      }
+
+      const row = cursorRow();
+      const item = row && state.suggestions.find((s) => s.id === cursorId);
+      let handled = true;
+      switch (e.key) {
+        case "j":
+        case "ArrowDown":
+          moveCursor(1);
+          break;
+        case "k":
+        case "ArrowUp":
+          moveCursor(-1);
+          break;
+        case " ":
+          if (row) row.querySelector(".crtp-checkbox").click();
+          break;
+        case "x":
+          if (item) {
+            const rows = cursorRows();
+            const i = rows.indexOf(row);
+            cursorId = (rows[i + 1] || rows[i - 1])?.dataset.id || null;
+            skipItem(item);
+          }
+          break;
+        case "u":
+          undoSkip();
+          break;
+        case "o":
+          if (item?.sourceUrl)
+            window.open(item.sourceUrl, "_blank", "noopener");
+          break;
+        case "Enter":
+          if (item) showThread(item);
+          break;
+        case "c":
+          onCopy();
+          break;
+        case "?":
+          toggleHelp();
+          break;
+        case "Escape":
+          if (helpOverlay.classList.contains("open")) toggleHelp(false);
+          else closePanel();
+          break;
+        default:
+          handled = false;
+      }
+      if (handled) {
+        e.preventDefault();
+        // Keep GitHub's own hotkeys (j/k, c, ?) from firing as well
+        e.stopPropagation();
+      }
+    };
+
+    const renderTemplateOptions = () => {
+      if (!templateSelect) return;
+      templateSelect.innerHTML = "";
+      templates.list.forEach((t) => {
+        templateSelect.appendChild(
+          create("option", { value: t.id, innerText: t.name }),
+        );
+      });
+      templateSelect.value = templates.activeId;
+    };
+
+    const loadTemplates = async () => {
+      const { templates: list, activeId } = await CRTPTemplates.loadTemplates();
+      templates.list = list;
+      templates.activeId = activeId;
+      renderTemplateOptions();
+      renderTokenBar();
+    };
+
+    // Make `id` the active template here and for every PR tab (the popup uses it too)
+    const setTemplate = (id) => {
+      templates.activeId = id;
+      if (templateSelect) templateSelect.value = id;
+      CRTPTemplates.setActiveTemplateId(id);
+      renderTokenBar();
     };
 
     const renderPanel = () => {
@@ -855,10 +3462,19 @@
             className: "crtp-btn",
             innerText: "Select All/None",
           })),
+          (templateSelect = create("select", {
+            className: "crtp-select",
+            title: "Prompt template used by Copy Prompt",
+          })),
           (copyBtn = create("button", {
             className: "crtp-btn primary",
             innerText: "Copy Prompt",
           })),
+          (sendBtn = create("button", {
+            className: "crtp-btn",
+            innerText: "Send to model",
+            title: "Send the prompt to the model endpoint set in Options",
+          })),
           (copyMdBtn = create("button", {
             className: "crtp-btn",
             innerText: "Copy MD",
@@ -869,36 +3485,96 @@
             innerText: "Copy JSON",
             title: "Copy structured JSON of selected suggestions",
           })),
+          (copyPatchBtn = create("button", {
+            className: "crtp-btn",
+            innerText: "Copy as patch",
+            title:
+              "Copy a unified diff of the selected suggested changes (git apply)",
+          })),
+          (helpBtn = create("button", {
+            className: "crtp-btn",
+            innerText: "?",
+            title: "Keyboard shortcuts",
+          })),
+          (downloadSelect = create(
+            "select",
+            {
+              className: "crtp-select",
+              title: `Save the selected suggestions as ${reviewFileBaseName()}.*`,
+            },
+            [
+              create("option", { value: "", innerText: "Download…" }),
+              create("option", { value: "md", innerText: "Markdown (.md)" }),
+              create("option", { value: "json", innerText: "JSON (.json)" }),
+              create("option", { value: "patch", innerText: "Patch (.patch)" }),
+              create("option", {
+                value: "zip",
+                innerText: "Zip (all + one file per path)",
+              }),
+            ],
+          )),
         ]),
       ]);
 
+      reviewersBar = create("div", { className: "crtp-reviewers" });
+      toolbar = create("div", { className: "crtp-reviewers crtp-toolbar" });
+      filterBar = renderFilterBar();
       listContainer = create("div", { className: "crtp-body" });
+      tabBar = create("div", { className: "crtp-tabs" });
+      customBar = create("div", {
+        className: "crtp-reviewers crtp-custom-bar",
+      });
+      toast = create("div", { className: "crtp-toast" });
 
       const footerLeft = create("div", {
         className: "crtp-label",
         innerText: "Build a single structured prompt for selected items.",
       });
       statusMsg = create("div", { className: "crtp-status" });
+      tokenBar = create("div", { className: "crtp-tokens" });
       const footer = create("div", { className: "crtp-footer" }, [
         footerLeft,
+        tokenBar,
         statusMsg,
       ]);
 
       panel.appendChild(header);
+      panel.appendChild(reviewersBar);
+      panel.appendChild(filterBar);
+      panel.appendChild(toolbar);
+      panel.appendChild(tabBar);
+      panel.appendChild(customBar);
       panel.appendChild(listContainer);
+      panel.appendChild(toast);
+      panel.appendChild(
+        create(
+          "datalist",
+          { id: "crtp-skip-reasons" },
+          SKIP_REASONS.map((r) => create("option", { value: r })),
+        ),
+      );
+      if (llmPort) stopModel();
+      resultPane = renderResultPane();
+      panel.appendChild(resultPane.root);
       panel.appendChild(footer);
+      helpOverlay = renderHelpOverlay();
+      panel.appendChild(helpOverlay);
+      helpBtn.addEventListener("click", () => toggleHelp());
 
       refreshBtn.addEventListener("click", () => {
         setStatus("Refreshing…");
-        state.refresh();
+        state.refresh({ force: true });
       });
       selectAllBtn.addEventListener("click", onSelectAll);
       copyBtn.addEventListener("click", onCopy);
+      sendBtn.addEventListener("click", onSendToModel);
+      templateSelect.addEventListener("change", () =>
+        setTemplate(templateSelect.value),
+      );
+      renderTemplateOptions();
 
       copyMdBtn.addEventListener("click", async () => {
-        let selected = state.suggestions.filter(
-          (s) => !ignored.has(s.id) && !deselected.has(s.id),
-        );
+        let selected = selectedItems();
         if (selected.length === 0) {
           setStatus("No suggestions selected to copy");
           return;
@@ -912,9 +3588,7 @@
       });
 
       copyJsonBtn.addEventListener("click", async () => {
-        let selected = state.suggestions.filter(
-          (s) => !ignored.has(s.id) && !deselected.has(s.id),
-        );
+        let selected = selectedItems();
         if (selected.length === 0) {
           setStatus("No suggestions selected to copy");
           return;
@@ -927,10 +3601,184 @@
         }
       });
 
+      copyPatchBtn.addEventListener("click", async () => {
+        const result = selectedPatch();
+        if (!result) return;
+        try {
+          await navigator.clipboard.writeText(result.patch);
+          setStatus(patchStatus("Copied patch", result));
+        } catch (e) {
+          setStatus("Copy failed: " + (e?.message || "unknown error"));
+        }
+      });
+
+      downloadSelect.addEventListener("change", () => {
+        const format = downloadSelect.value;
+        downloadSelect.value = "";
+        onDownload(format);
+      });
+
       renderHeaderInfo();
       renderList();
     };
 
+    const replaceSet = (set, values) => {
+      set.clear();
+      values.forEach((v) => set.add(v));
+    };
+
+    const loadSelectionState = async () => {
+      const loaded = await storage.load();
+      replaceSet(deselected, loaded.deselected);
+      replaceSet(ignored, loaded.ignored);
+      visitStartedAt = loaded.visitStartedAt;
+      seen = loaded.seen;
+      firstSeen = loaded.firstSeen;
+      skipReasons = loaded.skipReasons;
+      annotations = loaded.annotations;
+      customItems = loaded.customItems;
+      state.applyFilters();
+    };
+    let selectionLoaded = null;
+
+    // Another tab (or synced device) changed this PR's selection
+    const applyStoredEntry = (entry) => {
+      replaceSet(deselected, entry.deselected);
+      replaceSet(ignored, entry.ignored);
+      seen = { ...entry.seen };
+      firstSeen = { ...entry.firstSeen };
+      skipReasons = { ...entry.skipReasons };
+      annotations = { ...entry.annotations };
+      const customChanged =
+        JSON.stringify(entry.customItems) !== JSON.stringify(customItems);
+      customItems = [...entry.customItems];
+      if (customChanged) state.applyFilters();
+      else renderList();
+    };
+
+    const splitId = (id) => {
+      const cut = id.lastIndexOf(":");
+      return { anchor: id.slice(0, cut), fingerprint: id.slice(cut + 1) };
+    };
+
+    // Point a stored id at the current item for the same anchor (text edited) or,
+    // failing that, the only item with the same fingerprint (re-ordered, or an id
+    // from an older version). Returns true if the set changed.
+    const matchFor = (id, items) => {
+      const { anchor, fingerprint } = splitId(id);
+      const match = items.find((s) => s.anchor === anchor);
+      if (match) return match;
+      const same = items.filter((s) => s.fingerprint === fingerprint);
+      return same.length === 1 ? same[0] : null;
+    };
+
+    const carryOver = (set, items) => {
+      const current = new Set(items.map((s) => s.id));
+      let changed = false;
+      Array.from(set).forEach((id) => {
+        if (current.has(id) || !id.includes(":")) return;
+        const match = matchFor(id, items);
+        if (!match || set.has(match.id)) return;
+        set.delete(id);
+        set.add(match.id);
+        changed = true;
+      });
+      return changed;
+    };
+
+    // Same for notes and edits, which are keyed by id
+    const carryOverAnnotations = (items) => {
+      const current = new Set(items.map((s) => s.id));
+      let changed = false;
+      Object.keys(annotations).forEach((id) => {
+        if (current.has(id) || !id.includes(":")) return;
+        const match = matchFor(id, items);
+        if (!match || annotations[match.id]) return;
+        annotations[match.id] = annotations[id];
+        delete annotations[id];
+        changed = true;
+      });
+      return changed;
+    };
+
+    /**
+     * Reconcile freshly extracted items with stored state: carry deselected/ignored
+     * and notes over to edited or re-anchored items and set `edited` on items whose text
+     * changed since the user last acknowledged it. Waits for the stored state.
+     */
+    const reconcile = async (items) => {
+      await selectionLoaded;
+      if (carryOver(deselected, items)) saveDeselection();
+      if (carryOver(ignored, items)) saveIgnored();
+      if (carryOverAnnotations(items)) storage.saveAnnotations(annotations);
+      let seenChanged = false;
+      const now = Date.now();
+      items.forEach((s) => {
+        if (!s.anchor) return;
+        const prev = seen[s.anchor];
+        if (prev === undefined) {
+          seen[s.anchor] = s.fingerprint;
+          seenChanged = true;
+        }
+        if (!firstSeen[s.anchor]) {
+          firstSeen[s.anchor] = now;
+          seenChanged = true;
+        }
+        s.edited = prev !== undefined && prev !== s.fingerprint;
+        s.lifecycle = lifecycleOf(s);
+      });
+      if (seenChanged) storage.saveSeen(seen, firstSeen);
+      // Keep the visit going while the page is open and changing
+      if (now - lastTouchAt > VISIT_TOUCH_MS) {
+        lastTouchAt = now;
+        CRTPStore.touchVisit(currentPRUrl()).catch(() => {});
+      }
+    };
+
+    // "applied" | "outdated" | "new" | "unchanged", most specific first
+    const lifecycleOf = (s) => {
+      if (s.applied) return "applied";
+      if (s.thread?.outdated) return "outdated";
+      if ((firstSeen[s.anchor] || 0) >= visitStartedAt) return "new";
+      return "unchanged";
+    };
+
+    const markSeen = (s) => {
+      seen[s.anchor] = s.fingerprint;
+      s.edited = false;
+      storage.saveSeen(seen, firstSeen);
+      renderList();
+    };
+
+    // Panel position and the view defaults from the settings. `prev` is the settings
+    // applied before; view defaults only replace the view when they changed.
+    const applyPanelSettings = (prev) => {
+      const settings = state.settings;
+      CRTPSettings.PANEL_POSITIONS.forEach((pos) =>
+        panel.classList.toggle(
+          `crtp-pos-${pos}`,
+          pos === settings.panelPosition && pos !== "top-right",
+        ),
+      );
+      let viewChanged = false;
+      if (!prev || prev.defaultSort !== settings.defaultSort) {
+        viewChanged = view.sort !== settings.defaultSort;
+        view.sort = compareBy[settings.defaultSort]
+          ? settings.defaultSort
+          : "page";
+      }
+      if (!prev || prev.defaultGroupByFile !== settings.defaultGroupByFile) {
+        viewChanged =
+          viewChanged || view.groupByFile !== settings.defaultGroupByFile;
+        view.groupByFile = !!settings.defaultGroupByFile;
+      }
+      if (!viewChanged) return;
+      const next = renderFilterBar();
+      filterBar.replaceWith(next);
+      filterBar = next;
+      renderList();
+    };
+
     const mount = () => {
       if (shadowHost) return;
 
@@ -943,12 +3791,30 @@
       style.textContent = styles;
 
       panel = create("div", { className: "crtp-panel" });
+      panel.tabIndex = -1;
+      panel.addEventListener("keydown", onPanelKeyDown);
+      document.addEventListener("mouseover", onPageMouseOver);
 
       shadow.appendChild(style);
       shadow.appendChild(panel);
 
       renderPanel();
       renderHeaderInfo();
+
+      loadTemplates();
+      CRTPTemplates.onTemplatesChanged(loadTemplates);
+
+      selectionLoaded = loadSelectionState();
+      CRTPStore.onChanged(currentPRUrl(), applyStoredEntry);
+      CRTPStore.onSyncError((e) => setStatus(e.message));
+      // Selection changes reach chrome.storage.sync in batches; send the last one now
+      window.addEventListener("pagehide", () => CRTPStore.flush());
+      // Leaving the tab (or the page) is the last time the PR was seen open
+      document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "hidden") {
+          CRTPStore.touchVisit(currentPRUrl()).catch(() => {});
+        }
+      });
     };
 
     return {
@@ -963,29 +3829,163 @@
       },
       setHeaderInfo,
       setStatus,
+      reconcile,
+      applyPanelSettings,
       openPanel,
       togglePanel,
+      selectedItems,
+      setSelected,
+      skipItems,
+      restoreItems,
+      setSkipReason,
+      buildPrompt,
+      buildMarkdown,
+      buildJSON,
+      exportItems,
+      withAnnotation,
+      customSuggestions,
+      get templates() {
+        return templates;
+      },
+      setTemplate,
     };
   })();
 
   // --------------------- State and Orchestration ---------------------
 
+  // Debounce delays are settings; read them whenever a refresh is scheduled
+  const refreshDelay = () => state.settings.refreshDebounceMs;
+  const observerDelay = () => state.settings.observerDebounceMs;
+
   const state = {
+    // Everything the extractor found, before thread and reviewer filters
+    raw: [],
     suggestions: [],
+    authors: [],
+    hiddenThreads: 0,
+    settings: { ...CRTPSettings.DEFAULTS },
+    classifierRules: CRTPClassifier.compile(CRTPClassifier.DEFAULT_RULES),
     setSuggestions(arr) {
       this.suggestions = arr;
       UI.renderList();
     },
-    refresh: debounce(() => {
-      const arr = extractAllSuggestions();
-      state.setSuggestions(arr);
-      UI.setStatus(`Found ${arr.length} suggestion(s)`);
-    }, 150),
+    // Re-derive the visible suggestions from `raw` and the current settings
+    applyFilters() {
+      const threadItems = applyThreadFilters(this.raw, this.settings);
+      this.hiddenThreads = this.raw.length - threadItems.length;
+      this.authors = detectAuthors(threadItems);
+      CRTPSettings.rememberReviewers(
+        currentRepoKey(),
+        this.authors.map((a) => a.name),
+      ).catch(() => {});
+      this.setSuggestions([
+        ...applyReviewerFilter(threadItems, this.settings),
+        ...UI.customSuggestions(),
+      ]);
+    },
+    refresh: debounce(async (opts) => {
+      let arr;
+      let source = "";
+      if (state.settings.extractionSource === "api") {
+        try {
+          arr = await extractApiSuggestions(opts);
+          source = " via GitHub API";
+        } catch (e) {
+          arr = extractAllSuggestions(state.settings);
+          source = ` (API failed: ${e?.message || "unknown error"}; read from page instead)`;
+        }
+      } else {
+        arr = extractAllSuggestions(state.settings);
+      }
+      await UI.reconcile(arr);
+      CRTPClassifier.classifyAll(arr, state.classifierRules);
+      state.raw = arr;
+      state.applyFilters();
+      const hidden = state.hiddenThreads;
+      UI.setStatus(
+        `Found ${state.suggestions.length} suggestion(s)${source}` +
+          (hidden ? ` (${hidden} in resolved/outdated threads hidden)` : ""),
+      );
+      state.loadFileContext();
+      // Without the files, patches only lack trailing context (and say so)
+      loadPatchFiles(state.raw).catch(() => {});
+    }, refreshDelay),
+    // Fetch file context for `raw` in the background and re-render once it is there
+    async loadFileContext() {
+      const contextLines = Number(this.settings.fileContextLines) || 0;
+      if (contextLines <= 0) {
+        if (!this.raw.some((s) => s.fileContext)) return;
+        this.raw.forEach((s) => delete s.fileContext);
+        this.applyFilters();
+        return;
+      }
+      const items = this.raw;
+      let failed;
+      try {
+        failed = await attachFileContext(items, contextLines);
+      } catch (e) {
+        UI.setStatus(
+          `File context unavailable: ${e?.message || "unknown error"}`,
+        );
+        return;
+      }
+      if (items !== this.raw) return;
+      this.applyFilters();
+      if (failed) UI.setStatus(`Could not read ${failed} file(s) for context`);
+    },
   };
 
   // Initialize
   UI.mount();
-  state.refresh();
+  // Settings in effect on this repository (global values plus its overrides)
+  const effectiveSettings = (settings) =>
+    CRTPSettings.forRepo(settings, currentRepoKey());
+
+  // Settings that change what the extractor produces, not just how it is filtered
+  const EXTRACTION_SETTINGS = [
+    "extractionSource",
+    "apiBaseUrl",
+    "extractListItems",
+    "extractPatternLines",
+    "wholeCommentFallback",
+    "copilotContentHint",
+    "summaryMaxLength",
+  ];
+
+  CRTPSettings.load().then((settings) => {
+    state.settings = effectiveSettings(settings);
+    UI.applyPanelSettings();
+    state.refresh();
+    // Housekeeping for stored per-PR state
+    CRTPStore.recordPRState(currentPRUrl(), detectPRState(), prTitle())
+      .then(() => CRTPStore.expire(settings.prStateRetentionDays))
+      .catch(() => {});
+  });
+  // Classifier rules are edited in the options page; re-tag in place when they change
+  const loadClassifierRules = async () => {
+    state.classifierRules = CRTPClassifier.compile(
+      await CRTPClassifier.loadRules(),
+    );
+    CRTPClassifier.classifyAll(state.raw, state.classifierRules);
+    state.applyFilters();
+  };
+  loadClassifierRules();
+  CRTPClassifier.onRulesChanged(loadClassifierRules);
+  CRTPSettings.onChanged((stored) => {
+    const prev = state.settings;
+    const settings = effectiveSettings(stored);
+    state.settings = settings;
+    UI.applyPanelSettings(prev);
+    // Only extraction settings need a new extraction; filters re-apply in place
+    if (EXTRACTION_SETTINGS.some((key) => prev[key] !== settings[key])) {
+      state.refresh({ force: true });
+    } else {
+      state.applyFilters();
+      if (prev.fileContextLines !== settings.fileContextLines) {
+        state.loadFileContext();
+      }
+    }
+  });
 
   // Automatically refresh when page updates (GitHub uses turbo/pjax)
   const bodyObserver = new MutationObserver(
@@ -995,16 +3995,14 @@
         return Array.from(m.addedNodes).some(
           (n) =>
             n.nodeType === 1 &&
-            (n.matches?.('turbo-frame[id^="review-thread-or-comment-id-"]') ||
-              n.querySelector?.(
-                'turbo-frame[id^="review-thread-or-comment-id-"]',
-              ) ||
+            (n.matches?.(threadSelector()) ||
+              n.querySelector?.(threadSelector()) ||
               n.matches?.(".js-comment, article") ||
               n.querySelector?.(".js-comment, article")),
         );
       });
       if (relevant) state.refresh();
-    }, 300),
+    }, observerDelay),
   );
 
   bodyObserver.observe(document.body, { childList: true, subtree: true });
@@ -1031,193 +4029,116 @@
         .map((s) => s.id);
       return all.filter((id) => !UI.deselected.has(id));
     },
-    buildPrompt: (items) => {
-      const prUrl = location.href;
-      const header = [
-        "Task: Apply the following GitHub Copilot review suggestions to the codebase in this PR.",
-        `PR: ${prUrl}`,
-        "Instructions:",
-        "- For each item, implement the change described.",
-        "- If multiple files are impacted, update all relevant locations.",
-        "- Preserve existing behavior unless a change is explicitly requested.",
-        "",
-      ].join("\n");
-
-      const body = items
-        .map((s, idx) => {
-          const linesLabel =
-            s.lineStart && s.lineEnd
-              ? s.lineStart === s.lineEnd
-                ? `L${s.lineStart}`
-                : `L${s.lineStart}-L${s.lineEnd}`
-              : null;
-
-          const fileLine =
-            s.filePath || linesLabel
-              ? `File: ${s.filePath || "unknown"}${linesLabel ? ` (${linesLabel})` : ""}`
-              : null;
-
-          const review = s.reviewText ? `Review:\n${s.reviewText}` : null;
-
-          const codeMentioned = s.codeMentioned
-            ? `Code mentioned:\n${s.codeMentioned}`
-            : null;
-
-          let suggestionBlock = null;
-          if (s.suggestedChange) {
-            suggestionBlock = s.suggestedChange.trim().startsWith("Suggested")
-              ? s.suggestedChange
-              : `Suggested change:\n${s.suggestedChange}`;
-          } else if (s.text && s.text !== s.summary) {
-            suggestionBlock = s.text.trim().startsWith("Suggested")
-              ? s.text
-              : `Suggested change:\n${s.text}`;
-          }
-
-          return [
-            `#${idx + 1} ${s.summary}`,
-            fileLine,
-            codeMentioned,
-            review,
-            suggestionBlock,
-            "",
-          ]
-            .filter(Boolean)
-            .join("\n");
-        })
-        .join("\n");
-
-      return header + "\n" + body;
-    },
-    buildMarkdown: (items) => {
-      const prUrl = location.href;
-      const linesFor = (s) =>
-        s.lineStart && s.lineEnd
-          ? s.lineStart === s.lineEnd
-            ? `L${s.lineStart}`
-            : `L${s.lineStart}-L${s.lineEnd}`
-          : null;
+    buildPrompt: (items) => UI.buildPrompt(items),
+    buildMarkdown: (items) => UI.buildMarkdown(items),
+    buildJSON: (items) => UI.buildJSON(items),
+  };
 
-      const sections = items.map((s, idx) => {
-        const lineLabel = linesFor(s);
-        const titleParts = [];
-        if (s.filePath) titleParts.push(s.filePath);
-        if (lineLabel) titleParts.push(`(${lineLabel})`);
-        const title = titleParts.length ? `${titleParts.join(" ")}` : "";
+  // --------------------- Messages (protocol.js) ---------------------
 
-        const blocks = [];
-        blocks.push(`### ${idx + 1}. ${s.summary}`);
-        if (title) blocks.push(`File: ${title}`);
-        if (s.codeMentioned) {
-          blocks.push(`Code mentioned:\n\n\`\`\`\n${s.codeMentioned}\n\`\`\``);
-        }
-        if (s.reviewText) blocks.push(`Review:\n\n${s.reviewText}`);
-        if (s.suggestedChange) {
-          blocks.push(
-            `Suggested change:\n\n\`\`\`\n${s.suggestedChange}\n\`\`\``,
-          );
-        }
+  const P = CRTPProtocol;
 
-        return blocks.join("\n\n");
-      });
+  // Suggestions for `ids` in that order; without ids, what the panel would copy
+  const itemsFor = (ids) => {
+    if (!ids) return UI.selectedItems();
+    const byId = new Map(state.suggestions.map((s) => [s.id, s]));
+    return ids.map((id) => byId.get(id)).filter(Boolean);
+  };
 
-      return [`## PR\n${prUrl}`, "", ...sections].join("\n");
-    },
-    buildJSON: (items) => {
-      const normalized = items.map((s) => ({
-        id: s.id,
-        filePath: s.filePath || null,
-        lineStart: s.lineStart ?? null,
-        lineEnd: s.lineEnd ?? null,
-        summary: s.summary,
-        codeMentioned: s.codeMentioned || null,
-        reviewText: s.reviewText || null,
-        suggestedChange: s.suggestedChange || null,
-        sourceUrl: s.sourceUrl,
-      }));
-      return JSON.stringify(
-        { pr: location.href, suggestions: normalized },
-        null,
-        2,
-      );
-    },
+  const buildText = (items, format) => {
+    if (format === "prompt") return { text: UI.buildPrompt(items) };
+    if (format === "markdown") return { text: UI.buildMarkdown(items) };
+    if (format === "json") return { text: UI.buildJSON(items) };
+    const result = CRTPPatch.buildPatch(items, patchOptions());
+    return result.patch
+      ? { text: result.patch }
+      : {
+          error: P.fail(
+            P.ERRORS.NO_PATCH,
+            "None of the selected items has a suggested change",
+          ),
+        };
   };
 
-  // Listen for messages from the extension popup to provide data without requiring script injection
-  if (
-    typeof chrome !== "undefined" &&
-    chrome.runtime &&
-    chrome.runtime.onMessage
-  ) {
-    chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-      if (!msg || !msg.type) return;
-
-      if (msg.type === "CRTP_QUERY") {
-        const suggestions = state.suggestions.filter(
-          (s) => !UI.ignored.has(s.id),
-        );
-        const selectedIds = suggestions
-          .filter((s) => !UI.deselected.has(s.id))
-          .map((s) => s.id);
-        sendResponse({
-          isPR: isPRPage(),
-          hasCRTP: true,
-          found: suggestions.length,
-          selected: selectedIds.length,
-          suggestions,
-          selectedIds,
-        });
-        return true;
-      }
+  const skippedCount = () =>
+    state.suggestions.filter((s) => UI.ignored.has(s.id)).length;
 
-      if (msg.type === "CRTP_REFRESH") {
-        state.refresh();
-        sendResponse({ ok: true });
-        return true;
-      }
+  const query = () => {
+    const suggestions = state.suggestions.filter((s) => !UI.ignored.has(s.id));
+    return P.ok({
+      isPR: isPRPage(),
+      url: currentPRUrl(),
+      title: document.title,
+      suggestions: suggestions.map((s) => P.toItem(UI.withAnnotation(s))),
+      selectedIds: suggestions
+        .filter((s) => !UI.deselected.has(s.id))
+        .map((s) => s.id),
+      skippedCount: skippedCount(),
+      templates: UI.templates.list.map(({ id, name }) => ({ id, name })),
+      templateId: UI.templates.activeId,
+    });
+  };
 
-      if (msg.type === "CRTP_TOGGLE_PANEL") {
-        try {
-          UI.togglePanel();
-          sendResponse({ ok: true });
-        } catch {
-          sendResponse({ ok: false });
-        }
-        return true;
+  const handlers = {
+    CRTP_QUERY: query,
+    CRTP_REFRESH: () => {
+      state.refresh();
+      return P.ok();
+    },
+    CRTP_TOGGLE_PANEL: () => {
+      UI.togglePanel();
+      return P.ok();
+    },
+    CRTP_OPEN_PANEL: () => {
+      UI.openPanel();
+      return P.ok();
+    },
+    CRTP_SELECT: (msg) => {
+      UI.setSelected(msg.ids, msg.selected);
+      return P.ok({
+        selectedIds: state.suggestions
+          .filter((s) => !UI.ignored.has(s.id) && !UI.deselected.has(s.id))
+          .map((s) => s.id),
+      });
+    },
+    CRTP_IGNORE: (msg) => {
+      const items = itemsFor(msg.ids);
+      if (msg.ignored) {
+        if (msg.reason) UI.setSkipReason(items, msg.reason);
+        UI.skipItems(items);
+      } else {
+        UI.restoreItems(items);
       }
-
-      if (msg.type === "CRTP_OPEN_PANEL") {
-        try {
-          UI.openPanel();
-          sendResponse({ ok: true });
-        } catch {
-          sendResponse({ ok: false });
-        }
-        return true;
+      return P.ok({ skippedCount: skippedCount() });
+    },
+    CRTP_SET_TEMPLATE: (msg) => {
+      if (!UI.templates.list.some((t) => t.id === msg.id)) {
+        return P.fail(P.ERRORS.BAD_REQUEST, `No template ${msg.id}`);
       }
-      if (msg.type === "CRTP_BUILD_PROMPT") {
-        const ids = Array.isArray(msg.ids) ? msg.ids : [];
-        const items = state.suggestions.filter((s) => ids.includes(s.id));
-        const prompt = window.__CRTP__.buildPrompt(items);
-        sendResponse({ prompt });
-        return true;
+      UI.setTemplate(msg.id);
+      return P.ok({ templateId: msg.id });
+    },
+    CRTP_BUILD: (msg) => {
+      const items = itemsFor(msg.ids);
+      if (items.length === 0) {
+        return P.fail(P.ERRORS.NOTHING_SELECTED, "No suggestions selected");
       }
-
-      if (msg.type === "CRTP_BUILD_MARKDOWN") {
-        const ids = Array.isArray(msg.ids) ? msg.ids : [];
-        const items = state.suggestions.filter((s) => ids.includes(s.id));
-        const markdown = window.__CRTP__.buildMarkdown(items);
-        sendResponse({ markdown });
-        return true;
+      const { text, error } = buildText(items, msg.format);
+      return error || P.ok({ format: msg.format, text, count: items.length });
+    },
+    CRTP_EXPORT: async (msg) => {
+      const items = itemsFor(msg.ids);
+      if (items.length === 0) {
+        return P.fail(P.ERRORS.NOTHING_SELECTED, "No suggestions selected");
       }
+      const result = await UI.exportItems(items, msg.format);
+      if (result.error) return P.fail(result.error.code, result.error.message);
+      return P.ok({ filename: result.filename, count: items.length });
+    },
+  };
 
-      if (msg.type === "CRTP_BUILD_JSON") {
-        const ids = Array.isArray(msg.ids) ? msg.ids : [];
-        const items = state.suggestions.filter((s) => ids.includes(s.id));
-        const json = window.__CRTP__.buildJSON(items);
-        sendResponse({ json });
-        return true;
-      }
-    });
+  // Requests from the popup and background.js; see protocol.js for the schemas
+  if (typeof chrome !== "undefined" && chrome.runtime?.onMessage) {
+    chrome.runtime.onMessage.addListener(P.handle(handlers));
   }
 })();
@@ -0,0 +1,431 @@
+/* github-api.js
+ * Optional GitHub REST API extractor.
+ * - createClient() talks to the API (used from background.js, which has host permissions
+ *   and is not subject to the page's CORS / mixed-content rules).
+ * - commentsToSuggestions() maps PR review comments to the same suggestion shape that
+ *   the DOM extractor in content.js produces.
+ * The base URL is configurable so the extractor can be pointed at a local mock server.
+ * GitHub Enterprise Server hosts (the enterpriseHosts setting) serve the API from
+ * https://<host>/api/v3 instead; apiBaseForHost() picks the base for a page's host.
+ */
+
+(() => {
+  "use strict";
+
+  const DEFAULT_API_BASE = "https://api.github.com";
+
+  const apiBaseFor = (baseUrl) =>
+    (baseUrl || DEFAULT_API_BASE).trim().replace(/\/+$/, "");
+
+  // "git.corp.example" from a host name or URL as typed in the options page; throws
+  // a readable Error for anything else. Enterprise hosts are always reached over https.
+  const normalizeHost = (value) => {
+    const input = String(value || "").trim();
+    let url;
+    try {
+      url = new URL(
+        /^[a-z][a-z\d+.-]*:\/\//i.test(input) ? input : `https://${input}`,
+      );
+    } catch {
+      throw new Error(`"${input}" is not a host name`);
+    }
+    if (
+      url.protocol !== "https:" ||
+      url.port ||
+      url.username ||
+      url.pathname.replace(/\/+$/, "") ||
+      !/^[a-z\d-]+(\.[a-z\d-]+)*$/.test(url.hostname)
+    ) {
+      throw new Error(`"${input}" is not a host name like git.corp.example`);
+    }
+    return url.hostname;
+  };
+
+  const isDotcomHost = (host) =>
+    host === "github.com" || String(host || "").endsWith(".github.com");
+
+  /** API base for PR pages on `host`: api.github.com for github.com, /api/v3 on Enterprise. */
+  const apiBaseForHost = (host) =>
+    !host || isDotcomHost(host) ? DEFAULT_API_BASE : `https://${host}/api/v3`;
+
+  // Match patterns for PR pages on an Enterprise host, like the manifest's content_scripts
+  const prPagePatterns = (host) => [
+    `https://${host}/*/*/pull/*`,
+    `https://${host}/*/*/pull/*/*`,
+  ];
+
+  const hostOrigin = (host) => `https://${host}/*`;
+
+  const nextLink = (linkHeader) => {
+    const m = (linkHeader || "").match(/<([^>]+)>;\s*rel="next"/);
+    return m ? m[1] : null;
+  };
+
+  const REVIEW_THREADS_QUERY = `
+    query ($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+      repository(owner: $owner, name: $repo) {
+        pullRequest(number: $number) {
+          reviewThreads(first: 100, after: $cursor) {
+            pageInfo { hasNextPage endCursor }
+            nodes {
+              isResolved
+              isOutdated
+              comments(first: 1) { nodes { databaseId } }
+            }
+          }
+        }
+      }
+    }`;
+
+  /**
+   * Create a small REST client.
+   * Errors are thrown as Error objects carrying the HTTP `status` (0 for network errors).
+   */
+  const createClient = ({ baseUrl, token, fetchImpl } = {}) => {
+    const base = apiBaseFor(baseUrl);
+    const doFetch = fetchImpl || ((...args) => fetch(...args));
+
+    const headers = {
+      Accept: "application/vnd.github+json",
+      "X-GitHub-Api-Version": "2022-11-28",
+    };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const requestUrl = async (url, init = {}) => {
+      let res;
+      try {
+        res = await doFetch(url, {
+          ...init,
+          headers: { ...headers, ...(init.headers || {}) },
+        });
+      } catch (e) {
+        const err = new Error(
+          `Network error contacting ${base}: ${e?.message || e}`,
+        );
+        err.status = 0;
+        throw err;
+      }
+      if (!res.ok) {
+        let detail = "";
+        try {
+          detail = (await res.json())?.message || "";
+        } catch {
+          // non-JSON error body
+        }
+        const err = new Error(
+          `GitHub API ${res.status}${detail ? `: ${detail}` : ""}`,
+        );
+        err.status = res.status;
+        throw err;
+      }
+      return res;
+    };
+
+    const request = async (path) => (await requestUrl(base + path)).json();
+
+    const paginate = async (path) => {
+      const out = [];
+      let url = base + path;
+      while (url) {
+        const res = await requestUrl(url);
+        const page = await res.json();
+        if (Array.isArray(page)) out.push(...page);
+        url = nextLink(res.headers.get("link"));
+      }
+      return out;
+    };
+
+    // GitHub Enterprise serves GraphQL from /api/graphql next to /api/v3
+    const graphqlUrl = /\/api\/v3$/.test(base)
+      ? base.replace(/\/v3$/, "/graphql")
+      : `${base}/graphql`;
+
+    const graphql = async (query, variables) => {
+      const res = await requestUrl(graphqlUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ query, variables }),
+      });
+      const json = await res.json();
+      if (json.errors?.length) {
+        const err = new Error(`GitHub GraphQL: ${json.errors[0].message}`);
+        err.status = res.status;
+        throw err;
+      }
+      return json.data;
+    };
+
+    // Resolution state per thread, keyed by the thread's first comment id
+    const listReviewThreads = async (owner, repo, number) => {
+      const out = [];
+      let cursor = null;
+      do {
+        const data = await graphql(REVIEW_THREADS_QUERY, {
+          owner,
+          repo,
+          number,
+          cursor,
+        });
+        const conn = data?.repository?.pullRequest?.reviewThreads;
+        if (!conn) break;
+        conn.nodes.forEach((t) => {
+          const rootCommentId = t.comments?.nodes?.[0]?.databaseId;
+          if (rootCommentId) {
+            out.push({
+              rootCommentId,
+              isResolved: !!t.isResolved,
+              isOutdated: !!t.isOutdated,
+            });
+          }
+        });
+        cursor = conn.pageInfo.hasNextPage ? conn.pageInfo.endCursor : null;
+      } while (cursor);
+      return out;
+    };
+
+    return {
+      baseUrl: base,
+      request,
+      paginate,
+      graphql,
+      listReviewThreads,
+      listReviewComments: (owner, repo, number) =>
+        paginate(
+          `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/pulls/${number}/comments?per_page=100`,
+        ),
+      getPullRequest: (owner, repo, number) =>
+        request(
+          `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/pulls/${number}`,
+        ),
+      // Raw file text at `ref` (a commit SHA, branch or tag)
+      getFileText: async (owner, repo, path, ref) => {
+        const filePath = path.split("/").map(encodeURIComponent).join("/");
+        const res = await requestUrl(
+          `${base}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/contents/${filePath}?ref=${encodeURIComponent(ref)}`,
+          { headers: { Accept: "application/vnd.github.raw+json" } },
+        );
+        return res.text();
+      },
+      rateLimit: () => request("/rate_limit"),
+    };
+  };
+
+  // --------------------- Mapping ---------------------
+
+  const SUGGESTION_FENCE_RE = /```suggestion[^\n]*\n([\s\S]*?)```/g;
+  const ANY_FENCE_RE = /```[^\n]*\n[\s\S]*?```/g;
+  const PATTERN_LINE_RE =
+    /^(-|\*|\d+\.)\s+(.+)$|^(suggestion|fix|improve|change|refactor|rename|remove|add|update)[:\-]\s*(.+)$/i;
+
+  // Bodies written in GitHub's web UI come back with CRLF line endings
+  const normalizeNewlines = (text) => (text || "").replace(/\r\n?/g, "\n");
+
+  /** Replacement bodies of all ```suggestion blocks in a markdown comment. */
+  const parseSuggestionBlocks = (body) => {
+    const out = [];
+    const text = normalizeNewlines(body);
+    let m;
+    SUGGESTION_FENCE_RE.lastIndex = 0;
+    while ((m = SUGGESTION_FENCE_RE.exec(text))) {
+      out.push(m[1].replace(/\n$/, ""));
+    }
+    return out;
+  };
+
+  /**
+   * The commented lines at the end of a diff hunk, without their +/-/space markers.
+   * `side` "LEFT" reads the old file (removed and context lines), anything else the
+   * new one (added and context lines).
+   */
+  const hunkTail = (diffHunk, count, side) => {
+    if (!diffHunk) return [];
+    const otherSide = side === "LEFT" ? "+" : "-";
+    const lines = normalizeNewlines(diffHunk)
+      .split("\n")
+      .filter(
+        (l) =>
+          !l.startsWith("@@") &&
+          !l.startsWith("\\") &&
+          !l.startsWith(otherSide),
+      )
+      .map((l) => l.slice(1));
+    return lines.slice(-Math.max(1, count));
+  };
+
+  const proseOf = (body) =>
+    normalizeNewlines(body).replace(ANY_FENCE_RE, "").trim();
+
+  const patternItems = (prose) => {
+    const items = [];
+    prose
+      .split("\n")
+      .map((l) => l.trim())
+      .filter(Boolean)
+      .forEach((line) => {
+        const m = line.match(PATTERN_LINE_RE);
+        if (m) {
+          const cleaned = (m[2] || m[4] || line).replace(
+            /^["'\s]+|["'\s]+$/g,
+            "",
+          );
+          if (cleaned) items.push(cleaned);
+        }
+      });
+    return items;
+  };
+
+  // REST reaction keys -> the g-emoji aliases the DOM extractor reports
+  const REACTION_ALIASES = {
+    laugh: "smile",
+    hooray: "tada",
+    confused: "thinking_face",
+  };
+
+  const reactionsOf = (c) => {
+    const out = {};
+    Object.entries(c.reactions || {}).forEach(([key, count]) => {
+      if (key === "url" || key === "total_count") return;
+      if (typeof count === "number" && count > 0) {
+        out[REACTION_ALIASES[key] || key] = count;
+      }
+    });
+    return out;
+  };
+
+  const isCopilotLogin = (login) => /copilot/i.test(login || "");
+
+  /**
+   * Map REST review comments to suggestion objects.
+   * `helpers` supplies summarize() and hashString() (text.js, as content.js uses
+   * them) so ids and summaries match the DOM extractor. `threads` (from listReviewThreads) adds
+   * resolution state; without it only `outdated` is known (the comment lost its line).
+   * Like the DOM extractor, a thread Copilot took part in yields suggestions only
+   * for Copilot's comments; every later comment is attached as a reply.
+   */
+  const commentsToSuggestions = (
+    comments,
+    { summarize, hashString },
+    threads = [],
+  ) => {
+    const stateByRoot = new Map(threads.map((t) => [t.rootCommentId, t]));
+
+    // REST replies all point at the thread's first comment
+    const byThread = new Map();
+    (comments || []).forEach((c) => {
+      const root = c.in_reply_to_id || c.id;
+      if (!byThread.has(root)) byThread.set(root, []);
+      byThread.get(root).push(c);
+    });
+
+    const all = [];
+    byThread.forEach((thread, rootId) => {
+      thread.sort((a, b) => a.id - b.id);
+      const root = thread[0];
+      const known = stateByRoot.get(rootId);
+      const resolved = known ? known.isResolved : false;
+      const outdated = known ? known.isOutdated : root.line == null;
+      const threadComments = thread.map((c) => ({
+        author: c.user?.login || null,
+        isCopilot: isCopilotLogin(c.user?.login),
+        text: proseOf(c.body) || (c.body || "").trim(),
+        reactions: reactionsOf(c),
+        url: c.html_url || null,
+      }));
+      const copilotThread = threadComments.some((c) => c.isCopilot);
+
+      thread.forEach((c, idx) => {
+        if (copilotThread && !threadComments[idx].isCopilot) return;
+        const threadField = {
+          resolved,
+          outdated,
+          reactions: threadComments[idx].reactions,
+          replies: threadComments.slice(idx + 1),
+        };
+        all.push(
+          ...commentSuggestions(c, { summarize, hashString }).map((s) => ({
+            ...s,
+            thread: threadField,
+          })),
+        );
+      });
+    });
+    return all;
+  };
+
+  // Suggestion objects (without thread context) for one review comment
+  const commentSuggestions = (c, { summarize, hashString }) => {
+    const lineEnd = c.line ?? c.original_line ?? null;
+    const lineStart = c.start_line ?? c.original_start_line ?? lineEnd;
+    const side = c.side === "LEFT" || c.side === "RIGHT" ? c.side : null;
+    const rangeLength =
+      lineStart && lineEnd ? Math.max(1, lineEnd - lineStart + 1) : 1;
+    const original = hunkTail(c.diff_hunk, rangeLength, side);
+
+    const prose = proseOf(c.body);
+    const replacements = parseSuggestionBlocks(c.body).map((block) => ({
+      oldLines: original,
+      newLines: block ? block.split("\n") : [],
+    }));
+    const changes = replacements.map((r) =>
+      [
+        "Suggested diff:",
+        ...r.oldLines.map((l) => "- " + l),
+        ...r.newLines.map((l) => "+ " + l),
+      ].join("\n"),
+    );
+
+    const seen = new Set();
+    const texts = [...patternItems(prose), ...changes].filter((t) => {
+      const key = t.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    if (texts.length === 0 && prose.length > 10) texts.push(prose);
+
+    // Same "<anchor>:<fingerprint>" ids as the DOM extractor, so state carries over
+    return texts.map((text, i) => ({
+      id: `r${c.id}:${i}:${hashString(text)}`,
+      anchor: `r${c.id}:${i}`,
+      fingerprint: hashString(text),
+      text,
+      summary: summarize(prose || text),
+      sourceUrl: c.html_url || null,
+      isCopilot: isCopilotLogin(c.user?.login),
+      author: c.user?.login || null,
+      filePath: c.path || null,
+      lineStart,
+      lineEnd,
+      // Same diff fields as the page extractor; the API knows only the commented side
+      side,
+      oldLineStart: side === "LEFT" ? lineStart : null,
+      oldLineEnd: side === "LEFT" ? lineEnd : null,
+      newLineStart: side === "RIGHT" ? lineStart : null,
+      newLineEnd: side === "RIGHT" ? lineEnd : null,
+      // The commit lineStart/lineEnd refer to: the latest one while the comment
+      // still maps onto the diff, else the one it was made on
+      commitId:
+        (c.line != null ? c.commit_id : c.original_commit_id) ||
+        c.commit_id ||
+        null,
+      codeMentioned: original.length ? original.join("\n") : null,
+      reviewText: prose || null,
+      suggestedChange: changes[0] || null,
+      replacement: replacements[0] || null,
+    }));
+  };
+
+  globalThis.CRTPGitHubApi = {
+    DEFAULT_API_BASE,
+    apiBaseFor,
+    normalizeHost,
+    isDotcomHost,
+    apiBaseForHost,
+    prPagePatterns,
+    hostOrigin,
+    createClient,
+    parseSuggestionBlocks,
+    hunkTail,
+    commentsToSuggestions,
+  };
+})();
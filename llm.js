@@ -0,0 +1,167 @@
+/* llm.js
+ * Minimal streaming client for OpenAI-compatible (/chat/completions) and
+ * Anthropic-compatible (/messages) chat endpoints.
+ * - Used from background.js (which holds the host permissions) and the options page.
+ * - Local servers such as Ollama (http://localhost:11434/v1) or llama.cpp
+ *   (http://localhost:8080/v1) speak the OpenAI dialect.
+ */
+
+(() => {
+  "use strict";
+
+  const PROVIDERS = {
+    openai: {
+      label: "OpenAI-compatible",
+      defaultBaseUrl: "https://api.openai.com/v1",
+    },
+    anthropic: {
+      label: "Anthropic-compatible",
+      defaultBaseUrl: "https://api.anthropic.com/v1",
+    },
+  };
+
+  const baseUrlFor = (provider, baseUrl) =>
+    (baseUrl || PROVIDERS[provider]?.defaultBaseUrl || "")
+      .trim()
+      .replace(/\/+$/, "");
+
+  // URL, headers and JSON body for one streaming chat request
+  const buildRequest = (
+    { provider, baseUrl, model, apiKey, maxTokens },
+    prompt,
+  ) => {
+    const base = baseUrlFor(provider, baseUrl);
+    const messages = [{ role: "user", content: prompt }];
+    if (provider === "anthropic") {
+      const headers = {
+        "Content-Type": "application/json",
+        "anthropic-version": "2023-06-01",
+        // Required for calls that carry an extension / browser Origin
+        "anthropic-dangerous-direct-browser-access": "true",
+      };
+      if (apiKey) headers["x-api-key"] = apiKey;
+      return {
+        url: `${base}/messages`,
+        headers,
+        body: { model, max_tokens: maxTokens, messages, stream: true },
+      };
+    }
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    return {
+      url: `${base}/chat/completions`,
+      headers,
+      body: { model, max_tokens: maxTokens, messages, stream: true },
+    };
+  };
+
+  /** Split a text/event-stream into { event, data } records. */
+  async function* readEvents(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    const parse = (block) => {
+      let event = "message";
+      const data = [];
+      block.split(/\r?\n/).forEach((line) => {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+      });
+      return data.length ? { event, data: data.join("\n") } : null;
+    };
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      for (const block of blocks) {
+        const record = parse(block);
+        if (record) yield record;
+      }
+    }
+    const record = parse(buffer);
+    if (record) yield record;
+  }
+
+  // Text delta carried by one stream record, or "" for bookkeeping events
+  const deltaOf = (provider, json) => {
+    if (json.error) {
+      throw new Error(json.error.message || String(json.error));
+    }
+    if (provider === "anthropic") {
+      return json.type === "content_block_delta" ? json.delta?.text || "" : "";
+    }
+    return json.choices?.[0]?.delta?.content || "";
+  };
+
+  /**
+   * Post `prompt` and call onDelta(text) for each streamed chunk.
+   * Resolves with the full response text. Errors are thrown as Error objects
+   * carrying the HTTP `status` (0 for network errors), like github-api.js.
+   */
+  const streamCompletion = async (
+    config,
+    prompt,
+    onDelta,
+    { signal, fetchImpl } = {},
+  ) => {
+    if (!config.model) throw new Error("No model configured");
+    const doFetch = fetchImpl || ((...args) => fetch(...args));
+    const { url, headers, body } = buildRequest(config, prompt);
+
+    let res;
+    try {
+      res = await doFetch(url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(body),
+        signal,
+      });
+    } catch (e) {
+      if (e?.name === "AbortError") throw e;
+      const err = new Error(
+        `Network error contacting ${url}: ${e?.message || e}`,
+      );
+      err.status = 0;
+      throw err;
+    }
+    if (!res.ok) {
+      let detail = "";
+      try {
+        const json = await res.json();
+        detail = json?.error?.message || json?.message || "";
+      } catch {
+        // non-JSON error body
+      }
+      const err = new Error(
+        `Model endpoint ${res.status}${detail ? `: ${detail}` : ""}`,
+      );
+      err.status = res.status;
+      throw err;
+    }
+
+    let text = "";
+    for await (const { data } of readEvents(res.body)) {
+      if (data === "[DONE]") break;
+      let json;
+      try {
+        json = JSON.parse(data);
+      } catch {
+        continue;
+      }
+      const delta = deltaOf(config.provider, json);
+      if (delta) {
+        text += delta;
+        onDelta(delta);
+      }
+    }
+    return text;
+  };
+
+  globalThis.CRTPLlm = {
+    PROVIDERS,
+    baseUrlFor,
+    streamCompletion,
+  };
+})();
@@ -0,0 +1,933 @@
+/* options.js
+ * Options page: manage prompt templates used by Copy Prompt,
+ * output, panel and extraction settings, the optional GitHub API extractor,
+ * GitHub Enterprise hosts, the Send to model endpoint, token budget profiles,
+ * general settings, stored per-PR state, reviewer filters, per-repository
+ * overrides and classifier rules.
+ */
+
+document.addEventListener("DOMContentLoaded", () => {
+  const $ = (id) => document.getElementById(id);
+
+  // Sample items used to preview templates without a PR at hand
+  const SAMPLE_PR_URL = "https://github.com/octo-org/octo-repo/pull/42";
+  const SAMPLE_ITEMS = [
+    {
+      id: "sample-1",
+      summary: "Avoid recomputing the list on every render.",
+      text: "Avoid recomputing the list on every render.",
+      filePath: "src/components/List.js",
+      lineStart: 12,
+      lineEnd: 18,
+      codeMentioned: "const items = props.data.map(expensiveTransform);",
+      reviewText:
+        "Avoid recomputing the list on every render. Memoize the transform.",
+      suggestedChange:
+        "Suggested diff:\n- const items = props.data.map(expensiveTransform);\n+ const items = useMemo(() => props.data.map(expensiveTransform), [props.data]);",
+      sourceUrl: `${SAMPLE_PR_URL}#discussion_r1`,
+      category: "performance",
+      severity: "should-fix",
+    },
+    {
+      id: "sample-2",
+      summary: "Typo in error message.",
+      text: "Typo in error message.",
+      filePath: "src/api/client.js",
+      lineStart: 88,
+      lineEnd: 88,
+      codeMentioned: null,
+      reviewText: "Typo in error message.",
+      suggestedChange: null,
+      sourceUrl: `${SAMPLE_PR_URL}#discussion_r2`,
+      category: "docs",
+      severity: "nit",
+    },
+  ];
+
+  // --------------------- Prompt templates ---------------------
+
+  let templates = [];
+  let activeId = CRTPTemplates.DEFAULT_TEMPLATE_ID;
+  let currentId = activeId;
+
+  const userTemplates = () => templates.filter((t) => !t.builtin);
+  const current = () => CRTPTemplates.getTemplate(templates, currentId);
+
+  function setTemplateStatus(text, isError) {
+    const el = $("template-status");
+    el.textContent = text || "";
+    el.classList.toggle("error", !!isError);
+  }
+
+  function renderPreview() {
+    const preview = $("template-preview");
+    try {
+      preview.textContent = CRTPTemplates.renderPrompt(
+        $("template-body").value,
+        SAMPLE_PR_URL,
+        SAMPLE_ITEMS,
+        { header: $("prompt-header").value },
+      );
+      preview.classList.remove("error");
+    } catch (e) {
+      preview.textContent = "Template error: " + e.message;
+      preview.classList.add("error");
+    }
+  }
+
+  function renderTemplates() {
+    const list = $("template-list");
+    list.innerHTML = "";
+    templates.forEach((t) => {
+      const opt = document.createElement("option");
+      opt.value = t.id;
+      opt.textContent =
+        t.name +
+        (t.builtin ? " (built-in)" : "") +
+        (t.id === activeId ? " ★" : "");
+      list.appendChild(opt);
+    });
+    const t = current();
+    currentId = t.id;
+    list.value = t.id;
+
+    $("template-name").value = t.name;
+    $("template-body").value = t.body;
+    $("template-name").disabled = t.builtin;
+    $("template-body").readOnly = t.builtin;
+    $("template-save").disabled = t.builtin;
+    $("template-delete").disabled = t.builtin;
+    $("template-activate").disabled = t.id === activeId;
+    $("template-active").textContent =
+      "Copy Prompt uses: " +
+      CRTPTemplates.getTemplate(templates, activeId).name;
+    renderPreview();
+  }
+
+  async function reloadTemplates() {
+    const data = await CRTPTemplates.loadTemplates();
+    templates = data.templates;
+    activeId = data.activeId;
+    renderTemplates();
+  }
+
+  async function addTemplate(name, body) {
+    const id = `user-${Date.now().toString(36)}`;
+    await CRTPTemplates.saveUserTemplates([
+      ...userTemplates(),
+      { id, name, body },
+    ]);
+    currentId = id;
+    await reloadTemplates();
+    setTemplateStatus("Template created.");
+  }
+
+  $("template-list").addEventListener("change", (e) => {
+    currentId = e.target.value;
+    setTemplateStatus("");
+    renderTemplates();
+  });
+
+  $("template-body").addEventListener("input", renderPreview);
+
+  $("template-new").addEventListener("click", () =>
+    addTemplate("New template", current().body),
+  );
+
+  $("template-duplicate").addEventListener("click", () => {
+    const t = current();
+    addTemplate(`${t.name} (copy)`, t.body);
+  });
+
+  $("template-save").addEventListener("click", async () => {
+    const body = $("template-body").value;
+    try {
+      CRTPTemplates.compile(body);
+    } catch (e) {
+      setTemplateStatus("Not saved: " + e.message, true);
+      return;
+    }
+    const name = $("template-name").value.trim() || "Untitled template";
+    await CRTPTemplates.saveUserTemplates(
+      userTemplates().map((t) =>
+        t.id === currentId ? { ...t, name, body } : t,
+      ),
+    );
+    await reloadTemplates();
+    setTemplateStatus("Saved.");
+  });
+
+  $("template-delete").addEventListener("click", async () => {
+    const t = current();
+    if (t.builtin) return;
+    if (!confirm(`Delete template "${t.name}"?`)) return;
+    await CRTPTemplates.saveUserTemplates(
+      userTemplates().filter((u) => u.id !== t.id),
+    );
+    if (activeId === t.id) {
+      await CRTPTemplates.setActiveTemplateId(
+        CRTPTemplates.DEFAULT_TEMPLATE_ID,
+      );
+    }
+    currentId = CRTPTemplates.DEFAULT_TEMPLATE_ID;
+    await reloadTemplates();
+    setTemplateStatus("Deleted.");
+  });
+
+  $("template-activate").addEventListener("click", async () => {
+    await CRTPTemplates.setActiveTemplateId(currentId);
+    await reloadTemplates();
+  });
+
+  // Keep in sync with the template dropdown in the on-page panel
+  CRTPTemplates.onTemplatesChanged(reloadTemplates);
+
+  reloadTemplates();
+
+  // --------------------- GitHub API ---------------------
+
+  function setApiStatus(text, isError) {
+    const el = $("api-status");
+    el.textContent = text || "";
+    el.classList.toggle("error", !!isError);
+  }
+
+  // Hosts outside the manifest's host_permissions (e.g. a localhost mock server)
+  // must be granted at runtime; this has to run inside the click handler.
+  async function ensureOriginPermission(url) {
+    if (!url) return true;
+    let origin;
+    try {
+      origin = new URL(url).origin;
+    } catch {
+      throw new Error(`${url} is not a valid URL`);
+    }
+    const origins = [`${origin}/*`];
+    if (await chrome.permissions.contains({ origins })) return true;
+    return chrome.permissions.request({ origins });
+  }
+
+  async function loadApiSettings() {
+    const settings = await CRTPSettings.load();
+    const secrets = await CRTPSettings.loadSecrets();
+    $("extraction-source").value = settings.extractionSource;
+    $("api-base-url").value = settings.apiBaseUrl;
+    $("github-token").value = secrets.githubToken;
+  }
+
+  $("api-save").addEventListener("click", async () => {
+    const apiBaseUrl = $("api-base-url").value.trim();
+    try {
+      if (!(await ensureOriginPermission(apiBaseUrl))) {
+        setApiStatus("Not saved: permission for that host was denied.", true);
+        return;
+      }
+    } catch (e) {
+      setApiStatus("Not saved: " + e.message, true);
+      return;
+    }
+    try {
+      await CRTPSettings.save({
+        extractionSource: $("extraction-source").value,
+        apiBaseUrl,
+      });
+      await CRTPSettings.saveSecrets({
+        githubToken: $("github-token").value.trim(),
+      });
+    } catch (e) {
+      setApiStatus("Not saved: " + e.message, true);
+      return;
+    }
+    setApiStatus("Saved.");
+  });
+
+  $("api-test").addEventListener("click", async () => {
+    setApiStatus("Testing…");
+    try {
+      const client = CRTPGitHubApi.createClient({
+        baseUrl: $("api-base-url").value.trim(),
+        token: $("github-token").value.trim(),
+      });
+      const data = await client.rateLimit();
+      const core = data?.resources?.core || data?.rate;
+      setApiStatus(
+        core
+          ? `OK – ${core.remaining}/${core.limit} requests left this hour.`
+          : `OK – ${client.baseUrl} responded.`,
+      );
+    } catch (e) {
+      setApiStatus("Failed: " + e.message, true);
+    }
+  });
+
+  loadApiSettings();
+
+  // --------------------- GitHub Enterprise hosts ---------------------
+  //
+  // background.js registers the content script on these hosts once their host
+  // permission is granted, which has to be requested from the Save click.
+
+  function setEnterpriseStatus(text, isError) {
+    const el = $("enterprise-status");
+    el.textContent = text || "";
+    el.classList.toggle("error", !!isError);
+  }
+
+  function addEnterpriseHostRow(host, token, granted) {
+    const tr = document.createElement("tr");
+    const hostInput = document.createElement("input");
+    hostInput.type = "text";
+    hostInput.size = 30;
+    hostInput.placeholder = "git.corp.example";
+    hostInput.value = host;
+    const tokenInput = document.createElement("input");
+    tokenInput.type = "password";
+    tokenInput.size = 30;
+    tokenInput.autocomplete = "off";
+    tokenInput.value = token;
+    const access = document.createElement("span");
+    access.className = "hint";
+    access.textContent = host ? (granted ? "Granted" : "Not granted") : "";
+    const remove = document.createElement("button");
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => tr.remove());
+    [hostInput, tokenInput, access, remove].forEach((c) =>
+      tr.appendChild(document.createElement("td")).appendChild(c),
+    );
+    $("enterprise-hosts").querySelector("tbody").appendChild(tr);
+  }
+
+  async function loadEnterpriseHosts() {
+    const { enterpriseHosts } = await CRTPSettings.load();
+    const { enterpriseTokens } = await CRTPSettings.loadSecrets();
+    $("enterprise-hosts").querySelector("tbody").innerHTML = "";
+    for (const host of enterpriseHosts) {
+      const granted = await chrome.permissions.contains({
+        origins: [CRTPGitHubApi.hostOrigin(host)],
+      });
+      addEnterpriseHostRow(host, enterpriseTokens[host] || "", granted);
+    }
+  }
+
+  $("enterprise-host-add").addEventListener("click", () =>
+    addEnterpriseHostRow("", "", false),
+  );
+
+  $("enterprise-save").addEventListener("click", async () => {
+    const hosts = [];
+    const tokens = {};
+    for (const tr of $("enterprise-hosts").querySelectorAll("tbody tr")) {
+      const [hostInput, tokenInput] = tr.querySelectorAll("input");
+      if (!hostInput.value.trim()) continue;
+      let host;
+      try {
+        host = CRTPGitHubApi.normalizeHost(hostInput.value);
+      } catch (e) {
+        setEnterpriseStatus("Not saved: " + e.message, true);
+        return;
+      }
+      if (CRTPGitHubApi.isDotcomHost(host)) {
+        setEnterpriseStatus(
+          `Not saved: ${host} is github.com, which works without adding it.`,
+          true,
+        );
+        return;
+      }
+      if (hosts.includes(host)) {
+        setEnterpriseStatus(`Not saved: ${host} is listed twice.`, true);
+        return;
+      }
+      hosts.push(host);
+      if (tokenInput.value.trim()) tokens[host] = tokenInput.value.trim();
+    }
+    const origins = hosts.map(CRTPGitHubApi.hostOrigin);
+    if (
+      origins.length &&
+      !(await chrome.permissions.contains({ origins })) &&
+      !(await chrome.permissions.request({ origins }))
+    ) {
+      setEnterpriseStatus("Not saved: access to those hosts was denied.", true);
+      return;
+    }
+    try {
+      await CRTPSettings.save({ enterpriseHosts: hosts });
+      await CRTPSettings.saveSecrets({ enterpriseTokens: tokens });
+    } catch (e) {
+      setEnterpriseStatus("Not saved: " + e.message, true);
+      return;
+    }
+    await loadEnterpriseHosts();
+    setEnterpriseStatus(
+      "Saved. Reload PR tabs that were already open on these hosts.",
+    );
+  });
+
+  loadEnterpriseHosts();
+
+  // --------------------- Send to model ---------------------
+
+  function setLlmStatus(text, isError) {
+    const el = $("llm-status");
+    el.textContent = text || "";
+    el.classList.toggle("error", !!isError);
+  }
+
+  const llmConfigFromForm = () => ({
+    provider: $("llm-provider").value,
+    baseUrl: $("llm-base-url").value.trim(),
+    model: $("llm-model").value.trim(),
+    maxTokens: parseInt($("llm-max-tokens").value, 10) || 4096,
+    apiKey: $("llm-api-key").value.trim(),
+  });
+
+  const updateLlmPlaceholder = () => {
+    $("llm-base-url").placeholder = CRTPLlm.baseUrlFor(
+      $("llm-provider").value,
+      "",
+    );
+  };
+
+  async function loadLlmSettings() {
+    const settings = await CRTPSettings.load();
+    const secrets = await CRTPSettings.loadSecrets();
+    $("llm-provider").value = settings.llmProvider;
+    $("llm-base-url").value = settings.llmBaseUrl;
+    $("llm-model").value = settings.llmModel;
+    $("llm-max-tokens").value = settings.llmMaxTokens;
+    $("llm-api-key").value = secrets.llmApiKey;
+    updateLlmPlaceholder();
+  }
+
+  $("llm-provider").addEventListener("change", updateLlmPlaceholder);
+
+  $("llm-save").addEventListener("click", async () => {
+    const config = llmConfigFromForm();
+    try {
+      const url = CRTPLlm.baseUrlFor(config.provider, config.baseUrl);
+      if (!(await ensureOriginPermission(url))) {
+        setLlmStatus("Not saved: permission for that host was denied.", true);
+        return;
+      }
+    } catch (e) {
+      setLlmStatus("Not saved: " + e.message, true);
+      return;
+    }
+    try {
+      await CRTPSettings.save({
+        llmProvider: config.provider,
+        llmBaseUrl: config.baseUrl,
+        llmModel: config.model,
+        llmMaxTokens: config.maxTokens,
+      });
+      await CRTPSettings.saveSecrets({ llmApiKey: config.apiKey });
+    } catch (e) {
+      setLlmStatus("Not saved: " + e.message, true);
+      return;
+    }
+    setLlmStatus("Saved.");
+  });
+
+  $("llm-test").addEventListener("click", async () => {
+    setLlmStatus("Testing…");
+    try {
+      const reply = await CRTPLlm.streamCompletion(
+        { ...llmConfigFromForm(), maxTokens: 16 },
+        "Reply with the single word OK.",
+        () => {},
+      );
+      setLlmStatus(`OK – model replied: ${reply.trim().slice(0, 80)}`);
+    } catch (e) {
+      setLlmStatus("Failed: " + e.message, true);
+    }
+  });
+
+  loadLlmSettings();
+
+  // --------------------- Token budget ---------------------
+
+  function setTokenStatus(text, isError) {
+    const el = $("token-profiles-status");
+    el.textContent = text || "";
+    el.classList.toggle("error", !!isError);
+  }
+
+  function addTokenProfileRow(profile, active) {
+    const tr = document.createElement("tr");
+    tr.dataset.id = profile.id;
+    const radio = document.createElement("input");
+    radio.type = "radio";
+    radio.name = "token-profile-active";
+    radio.checked = active;
+    const input = (type, value, step) => {
+      const el = document.createElement("input");
+      el.type = type;
+      el.value = value;
+      if (type === "number") {
+        el.min = "0";
+        el.step = step;
+        el.style.width = "7em";
+      }
+      return el;
+    };
+    const remove = document.createElement("button");
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => tr.remove());
+    [
+      radio,
+      input("text", profile.name),
+      input("number", profile.contextTokens, "1"),
+      input("number", profile.reserveTokens, "1"),
+      input("number", profile.charsPerToken, "0.1"),
+      remove,
+    ].forEach((c) =>
+      tr.appendChild(document.createElement("td")).appendChild(c),
+    );
+    $("token-profiles").querySelector("tbody").appendChild(tr);
+  }
+
+  function renderTokenProfiles(profiles, activeId) {
+    $("token-profiles").querySelector("tbody").innerHTML = "";
+    const active = CRTPTokens.profileFor(profiles, activeId);
+    profiles.forEach((p) => addTokenProfileRow(p, p === active));
+  }
+
+  async function loadTokenProfiles() {
+    const settings = await CRTPSettings.load();
+    renderTokenProfiles(
+      CRTPTokens.sanitizeProfiles(settings.tokenProfiles),
+      settings.tokenProfileId,
+    );
+  }
+
+  $("token-profile-add").addEventListener("click", () => {
+    addTokenProfileRow(
+      {
+        id: `custom-${Date.now().toString(36)}`,
+        name: "New profile",
+        contextTokens: 32000,
+        reserveTokens: 4000,
+        charsPerToken: 4,
+      },
+      false,
+    );
+  });
+
+  $("token-profiles-reset").addEventListener("click", async () => {
+    try {
+      await CRTPSettings.save({ tokenProfiles: [] });
+    } catch (e) {
+      setTokenStatus("Not saved: " + e.message, true);
+      return;
+    }
+    await loadTokenProfiles();
+    setTokenStatus("Reset to the default profiles.");
+  });
+
+  $("token-profiles-save").addEventListener("click", async () => {
+    const rows = Array.from(
+      $("token-profiles").querySelectorAll("tbody tr[data-id]"),
+    );
+    const profiles = [];
+    let activeId = null;
+    for (const tr of rows) {
+      const [radio, name, contextTokens, reserveTokens, charsPerToken] =
+        tr.querySelectorAll("input");
+      const profile = {
+        id: tr.dataset.id,
+        name: name.value.trim() || tr.dataset.id,
+        contextTokens: Number(contextTokens.value),
+        reserveTokens: Number(reserveTokens.value) || 0,
+        charsPerToken: Number(charsPerToken.value),
+      };
+      if (!(profile.contextTokens > 0) || !(profile.charsPerToken > 0)) {
+        setTokenStatus(
+          `Not saved: ${profile.name} needs a context size and characters per token.`,
+          true,
+        );
+        return;
+      }
+      if (radio.checked) activeId = profile.id;
+      profiles.push(profile);
+    }
+    if (profiles.length === 0) {
+      setTokenStatus("Not saved: keep at least one profile.", true);
+      return;
+    }
+    try {
+      await CRTPSettings.save({
+        tokenProfiles: profiles,
+        tokenProfileId: activeId || profiles[0].id,
+      });
+    } catch (e) {
+      setTokenStatus("Not saved: " + e.message, true);
+      return;
+    }
+    renderTokenProfiles(profiles, activeId || profiles[0].id);
+    setTokenStatus("Saved.");
+  });
+
+  loadTokenProfiles();
+
+  // --------------------- General settings ---------------------
+  //
+  // Inputs marked with data-setting="<key>" are bound to CRTPSettings and saved on change.
+  // "Saved." (or "Not saved: …") shows in the section's .settings-status, else in
+  // #settings-status.
+
+  async function loadBoundSettings() {
+    const settings = await CRTPSettings.load();
+    document.querySelectorAll("[data-setting]").forEach((el) => {
+      const value = settings[el.dataset.setting];
+      if (el.type === "checkbox") el.checked = !!value;
+      else el.value = value ?? "";
+    });
+    $("prompt-header").placeholder = CRTPTemplates.DEFAULT_PROMPT_HEADER;
+    renderPreview();
+  }
+
+  document.querySelectorAll("[data-setting]").forEach((el) => {
+    el.addEventListener("change", async () => {
+      const value =
+        el.type === "checkbox"
+          ? el.checked
+          : el.type === "number"
+            ? Number(el.value) || 0
+            : el.value;
+      const status =
+        el.closest("section")?.querySelector(".settings-status") ||
+        $("settings-status");
+      try {
+        await CRTPSettings.save({ [el.dataset.setting]: value });
+        status.textContent = "Saved.";
+        status.classList.remove("error");
+      } catch (e) {
+        status.textContent = "Not saved: " + e.message;
+        status.classList.add("error");
+      }
+    });
+  });
+
+  $("prompt-header").addEventListener("input", renderPreview);
+
+  loadBoundSettings();
+
+  // --------------------- Stored PRs ---------------------
+
+  function setStoredStatus(text, isError) {
+    const el = $("stored-prs-status");
+    el.textContent = text || "";
+    el.classList.toggle("error", !!isError);
+  }
+
+  async function renderStoredPRs() {
+    const entries = await CRTPStore.list();
+    const tbody = $("stored-prs").querySelector("tbody");
+    tbody.innerHTML = "";
+    if (entries.length === 0) {
+      const td = document.createElement("td");
+      td.colSpan = 6;
+      td.className = "hint";
+      td.textContent = "No saved state yet.";
+      tbody.appendChild(document.createElement("tr")).appendChild(td);
+      return;
+    }
+    entries.forEach((e) => {
+      const tr = document.createElement("tr");
+      const link = document.createElement("a");
+      link.href = e.url;
+      link.target = "_blank";
+      link.textContent = e.title || e.url.replace(/^https?:\/\//, "");
+      link.title = e.url;
+      const remove = document.createElement("button");
+      remove.textContent = "Remove";
+      remove.addEventListener("click", async () => {
+        await CRTPStore.remove([e.url]);
+        renderStoredPRs();
+      });
+      const cells = [
+        link,
+        e.prState,
+        String(e.deselected.length),
+        String(e.ignored.length),
+        e.updatedAt ? new Date(e.updatedAt).toLocaleDateString() : "",
+        remove,
+      ];
+      cells.forEach((c) => {
+        const td = document.createElement("td");
+        if (typeof c === "string") td.textContent = c;
+        else td.appendChild(c);
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+  }
+
+  $("sync-pr-state").addEventListener("change", async (e) => {
+    const toSync = e.target.checked;
+    try {
+      // Move entries first so the content scripts never see an empty store
+      const { moved, tooLarge } = await CRTPStore.moveAll(toSync);
+      await CRTPSettings.save({ syncPRState: toSync });
+      setStoredStatus(
+        toSync
+          ? `Syncing the selection of ${moved} PR(s).` +
+              (tooLarge
+                ? ` ${tooLarge} PR(s) have too large a selection to sync and stay on this device.`
+                : "")
+          : `Kept the synced selection of ${moved} PR(s) on this device.`,
+      );
+    } catch (err) {
+      e.target.checked = !toSync;
+      setStoredStatus("Failed: " + (err?.message || err), true);
+    }
+    renderStoredPRs();
+  });
+
+  $("stored-prs-clean").addEventListener("click", async () => {
+    const entries = await CRTPStore.list();
+    const closed = entries
+      .filter((e) => e.prState === "merged" || e.prState === "closed")
+      .map((e) => e.url);
+    await CRTPStore.remove(closed);
+    setStoredStatus(`Removed ${closed.length} PR(s).`);
+    renderStoredPRs();
+  });
+
+  $("stored-prs-clear").addEventListener("click", async () => {
+    const entries = await CRTPStore.list();
+    if (!confirm(`Remove saved state for ${entries.length} PR(s)?`)) return;
+    await CRTPStore.remove(entries.map((e) => e.url));
+    setStoredStatus(`Removed ${entries.length} PR(s).`);
+    renderStoredPRs();
+  });
+
+  CRTPSettings.load().then(async (settings) => {
+    $("sync-pr-state").checked = !!settings.syncPRState;
+    await CRTPStore.expire(settings.prStateRetentionDays);
+    renderStoredPRs();
+  });
+
+  // --------------------- Reviewer filters ---------------------
+
+  function setReviewerStatus(text, isError) {
+    const el = $("reviewer-status");
+    el.textContent = text || "";
+    el.classList.toggle("error", !!isError);
+  }
+
+  const exactRule = (name) =>
+    `^${name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`;
+
+  function addReviewerRepo(repo, rules, seen) {
+    const box = document.createElement("div");
+    box.className = "reviewer-repo";
+    box.dataset.repo = repo;
+
+    const head = document.createElement("div");
+    head.className = "row";
+    const title = document.createElement("strong");
+    title.textContent = repo;
+    const remove = document.createElement("button");
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => box.remove());
+    head.append(title, remove);
+
+    const textarea = document.createElement("textarea");
+    textarea.className = "rules";
+    textarea.spellcheck = false;
+    textarea.placeholder = "No rules: Copilot only";
+    textarea.value = rules.join("\n");
+
+    const chips = document.createElement("div");
+    chips.className = "row";
+    seen.forEach((name) => {
+      const chip = document.createElement("button");
+      chip.className = "chip";
+      chip.textContent = "+ " + name;
+      chip.title = "Add an exact rule for " + name;
+      chip.addEventListener("click", () => {
+        const lines = textarea.value.split("\n").filter((l) => l.trim());
+        const rule = exactRule(name);
+        if (!lines.includes(rule)) textarea.value = [...lines, rule].join("\n");
+      });
+      chips.appendChild(chip);
+    });
+
+    box.append(head, textarea, chips);
+    $("reviewer-repos").appendChild(box);
+  }
+
+  async function loadReviewerRules() {
+    const { reviewerRules = {} } = await CRTPSettings.load();
+    const seen = await CRTPSettings.loadSeenReviewers();
+    $("reviewer-repos").innerHTML = "";
+    const repos = Array.from(
+      new Set([...Object.keys(reviewerRules), ...Object.keys(seen)]),
+    ).sort((a, b) => (a === "*" ? -1 : b === "*" ? 1 : a.localeCompare(b)));
+    repos.forEach((repo) =>
+      addReviewerRepo(repo, reviewerRules[repo] || [], seen[repo] || []),
+    );
+  }
+
+  $("reviewer-add").addEventListener("click", () => {
+    const repo = $("reviewer-new-repo").value.trim();
+    if (!/^(\*|[\w.-]+\/[\w.-]+)$/.test(repo)) {
+      setReviewerStatus("Use owner/repo or *.", true);
+      return;
+    }
+    if (document.querySelector(`.reviewer-repo[data-repo="${repo}"]`)) {
+      setReviewerStatus(`${repo} is already listed.`, true);
+      return;
+    }
+    addReviewerRepo(repo, [], []);
+    $("reviewer-new-repo").value = "";
+    setReviewerStatus("");
+  });
+
+  $("reviewer-save").addEventListener("click", async () => {
+    const reviewerRules = {};
+    for (const box of document.querySelectorAll(".reviewer-repo")) {
+      const rules = box
+        .querySelector("textarea")
+        .value.split("\n")
+        .map((l) => l.trim())
+        .filter(Boolean);
+      for (const rule of rules) {
+        try {
+          new RegExp(rule, "i");
+        } catch (e) {
+          setReviewerStatus(
+            `Not saved: ${box.dataset.repo}: ${e.message}`,
+            true,
+          );
+          return;
+        }
+      }
+      if (rules.length) reviewerRules[box.dataset.repo] = rules;
+    }
+    try {
+      await CRTPSettings.save({ reviewerRules });
+    } catch (e) {
+      setReviewerStatus("Not saved: " + e.message, true);
+      return;
+    }
+    setReviewerStatus("Saved.");
+  });
+
+  loadReviewerRules();
+
+  // --------------------- Per-repository overrides ---------------------
+
+  function setOverridesStatus(text, isError) {
+    const el = $("overrides-status");
+    el.textContent = text || "";
+    el.classList.toggle("error", !!isError);
+  }
+
+  async function loadOverrides() {
+    const { repoOverrides } = await CRTPSettings.load();
+    $("repo-overrides").value = JSON.stringify(repoOverrides || {}, null, 2);
+    $("overrides-keys").textContent =
+      "Settings: " + CRTPSettings.OVERRIDABLE.join(", ");
+  }
+
+  $("repo-overrides").addEventListener("input", () => {
+    try {
+      CRTPSettings.validateOverrides(
+        JSON.parse($("repo-overrides").value || "{}"),
+      );
+      setOverridesStatus("");
+    } catch (e) {
+      setOverridesStatus(e.message, true);
+    }
+  });
+
+  $("overrides-save").addEventListener("click", async () => {
+    let repoOverrides;
+    try {
+      repoOverrides = CRTPSettings.validateOverrides(
+        JSON.parse($("repo-overrides").value || "{}"),
+      );
+    } catch (e) {
+      setOverridesStatus(`Not saved: ${e.message}`, true);
+      return;
+    }
+    try {
+      await CRTPSettings.save({ repoOverrides });
+    } catch (e) {
+      setOverridesStatus(`Not saved: ${e.message}`, true);
+      return;
+    }
+    setOverridesStatus("Saved.");
+  });
+
+  loadOverrides();
+
+  // --------------------- Classification ---------------------
+
+  function setClassifierStatus(text, isError) {
+    const el = $("classifier-status");
+    el.textContent = text || "";
+    el.classList.toggle("error", !!isError);
+  }
+
+  // Rules as typed, or an Error describing why they can't be used
+  function classifierRulesFromForm() {
+    try {
+      const rules = JSON.parse($("classifier-rules").value);
+      return { rules, compiled: CRTPClassifier.compile(rules) };
+    } catch (e) {
+      return { error: e };
+    }
+  }
+
+  function updateClassifierTry() {
+    const text = $("classifier-try").value.trim();
+    const el = $("classifier-result");
+    if (!text) {
+      el.textContent = "";
+      return;
+    }
+    const { compiled, error } = classifierRulesFromForm();
+    if (error) {
+      el.textContent = "";
+      return;
+    }
+    const { category, severity } = CRTPClassifier.classify(
+      { reviewText: text },
+      compiled,
+    );
+    el.textContent = `${severity} · ${category}`;
+  }
+
+  async function loadClassifierRules() {
+    const rules = await CRTPClassifier.loadRules();
+    $("classifier-rules").value = JSON.stringify(rules, null, 2);
+    updateClassifierTry();
+  }
+
+  $("classifier-rules").addEventListener("input", () => {
+    const { error } = classifierRulesFromForm();
+    setClassifierStatus(error ? error.message : "", !!error);
+    updateClassifierTry();
+  });
+  $("classifier-try").addEventListener("input", updateClassifierTry);
+
+  $("classifier-save").addEventListener("click", async () => {
+    const { rules, error } = classifierRulesFromForm();
+    if (error) {
+      setClassifierStatus(`Not saved: ${error.message}`, true);
+      return;
+    }
+    await CRTPClassifier.saveRules(rules);
+    setClassifierStatus("Saved.");
+  });
+
+  $("classifier-reset").addEventListener("click", async () => {
+    await CRTPClassifier.saveRules(null);
+    await loadClassifierRules();
+    setClassifierStatus("Reset to the default rules.");
+  });
+
+  loadClassifierRules();
+});
@@ -0,0 +1,266 @@
+/* patch.js
+ * Turn suggestion replacements into `git apply`-compatible unified diffs.
+ *
+ * Each suggestion may carry `replacement: { oldLines, newLines }` (filled in by the DOM
+ * extractor from GitHub's suggested-change table, or by the API extractor from a
+ * ```suggestion block plus the comment's diff_hunk). Together with `filePath` and
+ * `lineStart`/`lineEnd` that is enough to emit a hunk against the PR's head revision.
+ *
+ * Hunks get up to CONTEXT unchanged lines on each side, read from the file at the
+ * PR head when the caller passes it (`files`: path -> text). Without the file only
+ * the lines before the change are known, from the thread's `codeMentioned` snippet;
+ * git needs trailing context too, so such patches say to use `--unidiff-zero`.
+ */
+
+(() => {
+  "use strict";
+
+  const CONTEXT = 3;
+
+  const hunkRange = (start, count) =>
+    count === 1 ? `${start}` : `${start},${count}`;
+
+  const sameLine = (a, b) => a.trimEnd() === b.trimEnd();
+
+  // { lines, noNewlineAtEnd } for a file's text
+  const splitFile = (text) => {
+    const lines = String(text).split("\n");
+    const noNewlineAtEnd = lines[lines.length - 1] !== "";
+    if (!noNewlineAtEnd) lines.pop();
+    return { lines, noNewlineAtEnd };
+  };
+
+  // 1-based line where `oldLines` sit in `lines`: `start` if they match there,
+  // else the nearest place they do; null when they are not in the file
+  const locate = (lines, oldLines, start) => {
+    const matchesAt = (n) =>
+      n >= 1 &&
+      n - 1 + oldLines.length <= lines.length &&
+      oldLines.every((l, i) => sameLine(lines[n - 1 + i], l));
+    for (let d = 0; d <= lines.length; d++) {
+      if (matchesAt(start - d)) return start - d;
+      if (matchesAt(start + d)) return start + d;
+    }
+    return null;
+  };
+
+  // Lines of `codeMentioned` just before `oldLines`, when the snippet ends with them
+  const snippetBefore = (codeMentioned, oldLines) => {
+    if (!codeMentioned) return [];
+    const snippet = codeMentioned.split("\n");
+    const tail = snippet.slice(-oldLines.length);
+    if (
+      tail.length !== oldLines.length ||
+      !tail.every((l, i) => sameLine(l, oldLines[i]))
+    ) {
+      return [];
+    }
+    return snippet.slice(0, -oldLines.length).slice(-CONTEXT);
+  };
+
+  // Normalise an item into { filePath, start, oldLines, newLines, file } or a skip reason
+  const toChange = (s, files) => {
+    if (!s.filePath) return { reason: "no file path" };
+    // Lines removed by the PR are not in the head revision the patch applies to
+    if (s.side === "LEFT") return { reason: "comment on removed lines" };
+    const r = s.replacement;
+    if (!r || !Array.isArray(r.oldLines) || !Array.isArray(r.newLines)) {
+      return { reason: "no suggested change" };
+    }
+    if (r.oldLines.length === 0) return { reason: "no original lines" };
+    const start = s.lineStart || s.lineEnd;
+    if (!start) return { reason: "no line numbers" };
+    const text = files?.get ? files.get(s.filePath) : files?.[s.filePath];
+    if (text != null) {
+      const file = splitFile(text);
+      const at = locate(file.lines, r.oldLines, start);
+      if (at !== null) {
+        return {
+          filePath: s.filePath,
+          start: at,
+          // The file's own text, so whitespace the page dropped can't break the hunk
+          oldLines: file.lines.slice(at - 1, at - 1 + r.oldLines.length),
+          newLines: r.newLines,
+          file,
+        };
+      }
+    }
+    return {
+      filePath: s.filePath,
+      start,
+      oldLines: r.oldLines,
+      newLines: r.newLines,
+      before: snippetBefore(s.codeMentioned, r.oldLines),
+      file: null,
+    };
+  };
+
+  const fileHeader = (filePath) =>
+    [
+      `diff --git a/${filePath} b/${filePath}`,
+      `--- a/${filePath}`,
+      `+++ b/${filePath}`,
+    ].join("\n");
+
+  const NO_NEWLINE = "\\ No newline at end of file";
+
+  /**
+   * Hunks for one file's changes, sorted by line and not overlapping. With the
+   * file, changes whose context would touch share one hunk. Returns
+   * { hunks, trailing } where `trailing` is false if a hunk has no trailing
+   * context and does not end the file (git apply then needs --unidiff-zero).
+   */
+  const fileHunks = (changes) => {
+    const groups = [];
+    changes.forEach((c) => {
+      const prev = groups[groups.length - 1];
+      const last = prev?.[prev.length - 1];
+      if (
+        c.file &&
+        last?.file &&
+        c.start - (last.start + last.oldLines.length) <= 2 * CONTEXT
+      ) {
+        prev.push(c);
+      } else {
+        groups.push([c]);
+      }
+    });
+
+    let delta = 0;
+    let trailing = true;
+    let prevEnd = 0;
+    const hunks = groups.map((group) => {
+      const first = group[0];
+      const lastChange = group[group.length - 1];
+      const end = lastChange.start + lastChange.oldLines.length - 1;
+      const { file } = first;
+      let before;
+      let after = [];
+      if (file) {
+        const from = Math.max(1, first.start - CONTEXT, prevEnd + 1);
+        before = file.lines.slice(from - 1, first.start - 1);
+        after = file.lines.slice(
+          end,
+          Math.min(file.lines.length, end + CONTEXT),
+        );
+      } else {
+        // Snippet lines can't reach back into the previous change
+        before = first.before.slice(
+          Math.max(0, first.before.length - (first.start - 1 - prevEnd)),
+        );
+      }
+      const atEnd = !!file && end + after.length === file.lines.length;
+      if (!after.length && !atEnd) trailing = false;
+
+      const body = before.map((l) => " " + l);
+      let oldCount = before.length;
+      let newCount = before.length;
+      group.forEach((c, i) => {
+        if (i > 0) {
+          const prevChange = group[i - 1];
+          const gap = file.lines.slice(
+            prevChange.start - 1 + prevChange.oldLines.length,
+            c.start - 1,
+          );
+          body.push(...gap.map((l) => " " + l));
+          oldCount += gap.length;
+          newCount += gap.length;
+        }
+        const lastOfFile =
+          atEnd &&
+          !after.length &&
+          i === group.length - 1 &&
+          file.noNewlineAtEnd;
+        body.push(...c.oldLines.map((l) => "-" + l));
+        if (lastOfFile) body.push(NO_NEWLINE);
+        body.push(...c.newLines.map((l) => "+" + l));
+        if (lastOfFile && c.newLines.length) body.push(NO_NEWLINE);
+        oldCount += c.oldLines.length;
+        newCount += c.newLines.length;
+      });
+      body.push(...after.map((l) => " " + l));
+      if (atEnd && after.length && file.noNewlineAtEnd) body.push(NO_NEWLINE);
+      oldCount += after.length;
+      newCount += after.length;
+
+      const oldStart = first.start - before.length;
+      // Zero-length ranges point at the line before the change
+      const newStart = newCount === 0 ? oldStart + delta - 1 : oldStart + delta;
+      delta += newCount - oldCount;
+      prevEnd = end + after.length;
+      return [
+        `@@ -${hunkRange(oldStart, oldCount)} +${hunkRange(newStart, newCount)} @@`,
+        ...body,
+      ].join("\n");
+    });
+    return { hunks, trailing };
+  };
+
+  /**
+   * Build one patch for a list of suggestions. `files` (a Map or object of
+   * path -> file text at the PR head) supplies the context lines.
+   * Resolves overlapping ranges in the same file by keeping the first suggestion.
+   * Returns { patch, included: [id], skipped: [{ id, reason }] }; `patch` is "" when
+   * nothing could be converted.
+   */
+  const buildPatch = (items, { files } = {}) => {
+    const byFile = new Map();
+    const skipped = [];
+    items.forEach((s) => {
+      const change = toChange(s, files);
+      if (change.reason) {
+        skipped.push({ id: s.id, reason: change.reason });
+        return;
+      }
+      if (!byFile.has(change.filePath)) byFile.set(change.filePath, []);
+      byFile.get(change.filePath).push({ ...change, id: s.id });
+    });
+
+    const included = [];
+    const sections = [];
+    let trailing = true;
+    byFile.forEach((changes, filePath) => {
+      changes.sort((a, b) => a.start - b.start);
+      const kept = [];
+      changes.forEach((c) => {
+        const prev = kept[kept.length - 1];
+        if (prev && c.start < prev.start + prev.oldLines.length) {
+          skipped.push({ id: c.id, reason: "overlaps another suggestion" });
+          return;
+        }
+        kept.push(c);
+      });
+      if (kept.length === 0) return;
+      kept.forEach((c) => included.push(c.id));
+      const result = fileHunks(kept);
+      trailing = trailing && result.trailing;
+      sections.push([fileHeader(filePath), ...result.hunks].join("\n"));
+    });
+
+    if (sections.length === 0) return { patch: "", included, skipped };
+    // Text before the first "diff --git" line is ignored by git apply
+    const note = trailing
+      ? "Generated by Copilot Review to Prompt. Apply with: git apply <file>"
+      : "Generated by Copilot Review to Prompt. Some files could not be read for context; apply with: git apply --unidiff-zero <file>";
+    return {
+      patch: `${note}\n\n${sections.join("\n")}\n`,
+      included,
+      skipped,
+    };
+  };
+
+  /** Unified diff for a single suggestion, or null if it has no usable replacement. */
+  const buildItemPatch = (s, { files } = {}) => {
+    const change = toChange(s, files);
+    if (change.reason) return null;
+    return [fileHeader(change.filePath), ...fileHunks([change]).hunks].join(
+      "\n",
+    );
+  };
+
+  globalThis.CRTPPatch = {
+    CONTEXT,
+    buildPatch,
+    buildItemPatch,
+  };
+})();
@@ -1,214 +1,377 @@
+/* popup.js
+ * Popup view of the active PR tab: the same suggestions, selection, search, prompt
+ * template and output formats as the on-page panel. Everything goes through the content script
+ * over protocol.js; the popup keeps no state of its own and builds no prompts.
+ * It is the extension action's popup; "Show/hide panel" (like the toggle-panel
+ * keyboard command) toggles the on-page panel and closes the popup.
+ * "Collect from all open PR tabs" asks background.js for one prompt covering every
+ * open PR (CRTP_BATCH_*), with a checkbox per PR to drop it from the batch.
+ */
+
+// Same files, in the same order, as the manifest's content_scripts entry
+const CONTENT_SCRIPT_FILES = [
+  "protocol.js",
+  "text.js",
+  "templates.js",
+  "settings.js",
+  "pr-store.js",
+  "github-api.js",
+  "patch.js",
+  "classifier.js",
+  "tokens.js",
+  "content.js",
+];
+
+// Time the page gets to re-read its threads after Refresh before we ask again
+const REFRESH_WAIT_MS = 500;
+
+const P = CRTPProtocol;
+
+const el = (tag, props = {}, children = []) => {
+  const node = document.createElement(tag);
+  Object.assign(node, props);
+  children.forEach((c) => node.appendChild(c));
+  return node;
+};
+
+const option = (value, label) => el("option", { value, textContent: label });
+
 document.addEventListener("DOMContentLoaded", () => {
-  const root = document.body;
-  root.innerHTML = `
-    <div style="font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; padding: 12px; width: 320px;">
-      <h2 style="margin: 0 0 8px; font-size: 16px;">Copilot Review to Prompt</h2>
-      <div id="status" style="font-size: 12px; color: #57606a; margin-bottom: 8px;">Loading…</div>
-      <div id="counts" style="display: none; font-size: 13px; margin-bottom: 8px;">
-        <div>Found: <strong id="found">0</strong></div>
-        <div>Selected: <strong id="selected">0</strong></div>
-      </div>
-      <div id="actions" style="display: flex; gap: 8px;">
-        <button id="init" style="display: none;">Initialize</button>
-        <button id="refresh" style="display: none;">Refresh</button>
-        <button id="copy" style="display: none;">Copy Selected</button>
-      </div>
-    </div>
-  `;
-
-  let lastSuggestions = [];
-  let lastSelectedIds = [];
-
-  function getActiveTab(cb) {
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) =>
-      cb(tabs[0]),
-    );
-  }
-
-  function updateUI(info) {
-    const status = document.getElementById("status");
-    const counts = document.getElementById("counts");
-    const foundEl = document.getElementById("found");
-    const selectedEl = document.getElementById("selected");
-    const initBtn = document.getElementById("init");
-    const refreshBtn = document.getElementById("refresh");
-    const copyBtn = document.getElementById("copy");
-
-    if (!info || !info.isPR) {
-      status.textContent = "Open a GitHub PR page to use this extension.";
-      counts.style.display = "none";
-      initBtn.style.display = "none";
-      refreshBtn.style.display = "none";
-      copyBtn.style.display = "none";
+  const root = document.getElementById("popup-root");
+  const status = el("div", { className: "status", textContent: "Loading…" });
+  const counts = el("div", { className: "counts" });
+  const search = el("input", {
+    type: "search",
+    placeholder: "Search suggestions",
+  });
+  const selectAll = el("input", {
+    type: "checkbox",
+    title: "Select all shown",
+  });
+  const list = el("div", { className: "list" });
+  const format = el("select", { title: "Copy as" }, [
+    option("prompt", "Prompt"),
+    option("markdown", "Markdown"),
+    option("json", "JSON"),
+    option("patch", "Patch"),
+  ]);
+  // Prompt template, shared with the panel; only used by the Prompt format
+  const template = el("select", { title: "Prompt template" });
+  const copyBtn = el("button", { textContent: "Copy" });
+  const download = el("select", { title: "Download" }, [
+    option("", "Download…"),
+    option("md", "Markdown (.md)"),
+    option("json", "JSON (.json)"),
+    option("patch", "Patch (.patch)"),
+    option("zip", "Bundle (.zip)"),
+  ]);
+  const refreshBtn = el("button", { textContent: "Refresh" });
+  const panelBtn = el("button", { textContent: "Show/hide panel" });
+  const body = el("div", { className: "body", hidden: true }, [
+    counts,
+    el("div", { className: "row" }, [selectAll, search]),
+    list,
+    el("div", { className: "row" }, [format, template, copyBtn, download]),
+    el("div", { className: "row" }, [refreshBtn, panelBtn]),
+  ]);
+  const collectBtn = el("button", {
+    textContent: "Collect from all open PR tabs",
+  });
+  const batchList = el("div", { className: "list", hidden: true });
+  const batchCopyBtn = el("button", {
+    textContent: "Copy batch prompt",
+    hidden: true,
+  });
+  const batchSection = el("div", { className: "batch" }, [
+    el("div", { className: "row" }, [collectBtn, batchCopyBtn]),
+    batchList,
+  ]);
+  root.append(
+    el("h2", { textContent: "Copilot Review to Prompt" }),
+    status,
+    body,
+    batchSection,
+  );
+
+  let tabId = null;
+  let suggestions = [];
+  let selected = new Set();
+  let skippedCount = 0;
+  // Batch mode: PRs reported by background.js and the tab ids the user dropped
+  let batch = [];
+  const dropped = new Set();
+
+  const setStatus = (text) => {
+    status.textContent = text || "";
+  };
+
+  const visible = () => {
+    const query = search.value.trim().toLowerCase();
+    return query
+      ? suggestions.filter((s) => P.matchesQuery(s, query))
+      : suggestions;
+  };
+
+  // The ids Copy and Download work on, in the order shown
+  const selectedIds = () =>
+    visible()
+      .filter((s) => selected.has(s.id))
+      .map((s) => s.id);
+
+  const where = (s) => {
+    if (!s.filePath) return "";
+    if (s.lineStart == null) return s.filePath;
+    const range =
+      s.lineEnd != null && s.lineEnd !== s.lineStart
+        ? `${s.lineStart}-${s.lineEnd}`
+        : `${s.lineStart}`;
+    return `${s.filePath}:${range}`;
+  };
+
+  const renderItem = (s) => {
+    const box = el("input", { type: "checkbox", checked: selected.has(s.id) });
+    box.addEventListener("change", () => select([s.id], box.checked));
+    const skip = el("button", { className: "skip", textContent: "Skip" });
+    skip.addEventListener("click", (e) => {
+      // Inside the row's label; don't let the click toggle the checkbox too
+      e.preventDefault();
+      ignore([s.id]);
+    });
+    const meta = [s.severity, where(s), s.author].filter(Boolean).join(" · ");
+    return el("label", { className: "item" }, [
+      box,
+      el("span", { className: "text" }, [
+        el("span", { textContent: s.summary }),
+        el("span", { className: "meta", textContent: meta }),
+      ]),
+      skip,
+    ]);
+  };
+
+  const render = () => {
+    const shown = visible();
+    const ids = selectedIds();
+    counts.textContent =
+      `${ids.length} of ${shown.length} selected` +
+      (shown.length !== suggestions.length
+        ? ` (${suggestions.length} found)`
+        : "") +
+      (skippedCount ? ` · ${skippedCount} skipped` : "");
+    selectAll.checked = shown.length > 0 && ids.length === shown.length;
+    selectAll.indeterminate = ids.length > 0 && ids.length < shown.length;
+    list.replaceChildren(...shown.map(renderItem));
+    if (shown.length === 0) {
+      list.append(
+        el("div", {
+          className: "empty",
+          textContent: suggestions.length
+            ? "No suggestions match the search."
+            : "No suggestions on this page.",
+        }),
+      );
+    }
+    copyBtn.disabled = ids.length === 0;
+    download.disabled = ids.length === 0;
+    template.hidden = format.value !== "prompt";
+  };
+
+  const renderTemplates = (list, activeId) => {
+    template.replaceChildren(...list.map((t) => option(t.id, t.name)));
+    template.value = activeId;
+  };
+
+  const show = (resp) => {
+    if (!resp.ok || !resp.isPR) {
+      body.hidden = true;
+      setStatus(
+        resp.ok || resp.error.code === P.ERRORS.NO_RECEIVER
+          ? "Open a GitHub PR page to use this extension, or collect from all open PR tabs below."
+          : resp.error.message,
+      );
       return;
     }
+    suggestions = resp.suggestions;
+    selected = new Set(resp.selectedIds);
+    skippedCount = resp.skippedCount;
+    renderTemplates(resp.templates, resp.templateId);
+    body.hidden = false;
+    setStatus("");
+    render();
+  };
 
-    counts.style.display = "block";
-    foundEl.textContent = info.found;
-    selectedEl.textContent = info.selected;
-    status.textContent = info.hasCRTP
-      ? ""
-      : "Click Initialize to load the page helper.";
-
-    initBtn.style.display = info.hasCRTP ? "none" : "inline-block";
-    refreshBtn.style.display = "inline-block";
-    copyBtn.style.display = "inline-block";
-    copyBtn.disabled = info.found === 0;
-  }
-
-  function queryInfo(tabId, cb) {
-    chrome.tabs.sendMessage(tabId, { type: "CRTP_QUERY" }, (info) => {
-      if (chrome.runtime.lastError || !info) {
-        // Fallback: Try to inject the content script dynamically, then query again
-        if (chrome.scripting && chrome.scripting.executeScript) {
-          chrome.scripting.executeScript(
-            { target: { tabId }, files: ["content.js"] },
-            () => {
-              chrome.tabs.sendMessage(
-                tabId,
-                { type: "CRTP_QUERY" },
-                (info2) => {
-                  if (chrome.runtime.lastError || !info2) {
-                    lastSuggestions = [];
-                    lastSelectedIds = [];
-                    updateUI({ isPR: false });
-                    cb && cb(null);
-                    return;
-                  }
-                  lastSuggestions = info2.suggestions || [];
-                  lastSelectedIds = info2.selectedIds || [];
-                  updateUI(info2);
-                  cb && cb(info2);
-                },
-              );
-            },
-          );
-        } else {
-          lastSuggestions = [];
-          lastSelectedIds = [];
-          updateUI({ isPR: false });
-          cb && cb(null);
-        }
-        return;
+  // Ask the tab; if no content script answers (tab opened before install), inject it once
+  const query = async () => {
+    let resp = await P.sendToTab(tabId, "CRTP_QUERY");
+    if (!resp.ok && resp.error.code === P.ERRORS.NO_RECEIVER) {
+      try {
+        await chrome.scripting.executeScript({
+          target: { tabId },
+          files: CONTENT_SCRIPT_FILES,
+        });
+        resp = await P.sendToTab(tabId, "CRTP_QUERY");
+      } catch {
+        // Not a page we can script (chrome://, the web store, …)
       }
-      lastSuggestions = info.suggestions || [];
-      lastSelectedIds = info.selectedIds || [];
-      updateUI(info);
-      cb && cb(info);
+    }
+    show(resp);
+  };
+
+  // Send a request and report its error, if any; resolves with the response
+  const send = async (type, payload) => {
+    const resp = await P.sendToTab(tabId, type, payload);
+    if (!resp.ok) setStatus(resp.error.message);
+    return resp;
+  };
+
+  const select = async (ids, on) => {
+    ids.forEach((id) => (on ? selected.add(id) : selected.delete(id)));
+    render();
+    const resp = await send("CRTP_SELECT", { ids, selected: on });
+    if (resp.ok) {
+      selected = new Set(resp.selectedIds);
+      render();
+    }
+  };
+
+  const ignore = async (ids) => {
+    const resp = await send("CRTP_IGNORE", { ids, ignored: true });
+    if (!resp.ok) return;
+    suggestions = suggestions.filter((s) => !ids.includes(s.id));
+    skippedCount = resp.skippedCount;
+    setStatus(`Skipped ${ids.length} suggestion(s).`);
+    render();
+  };
+
+  const copy = async () => {
+    const ids = selectedIds();
+    const resp = await send("CRTP_BUILD", { format: format.value, ids });
+    if (!resp.ok) return;
+    try {
+      await navigator.clipboard.writeText(resp.text);
+      setStatus(`Copied ${resp.count} suggestion(s).`);
+    } catch (e) {
+      setStatus("Copy failed: " + (e?.message || "unknown error"));
+    }
+  };
+
+  const save = async () => {
+    const fileFormat = download.value;
+    download.value = "";
+    if (!fileFormat) return;
+    setStatus("Saving…");
+    const resp = await send("CRTP_EXPORT", {
+      format: fileFormat,
+      ids: selectedIds(),
     });
-  }
-
-  function injectContentScript(tabId, cb) {
-    // Try to refresh first if content script is already present
-    chrome.tabs.sendMessage(tabId, { type: "CRTP_REFRESH" }, () => {
-      if (chrome.runtime.lastError) {
-        // Fallback: dynamically inject the content script
-        if (chrome.scripting && chrome.scripting.executeScript) {
-          chrome.scripting.executeScript(
-            { target: { tabId }, files: ["content.js"] },
-            () => cb && cb(),
-          );
-        } else {
-          cb && cb();
-        }
-      } else {
-        cb && cb();
-      }
+    if (resp.ok)
+      setStatus(`Saved ${resp.count} suggestion(s) to ${resp.filename}`);
+  };
+
+  // --------------------- Batch mode ---------------------
+
+  const batchIds = () =>
+    batch
+      .filter((pr) => !pr.error && pr.selected > 0 && !dropped.has(pr.tabId))
+      .map((pr) => pr.tabId);
+
+  const renderBatchRow = (pr) => {
+    const usable = !pr.error && pr.selected > 0;
+    const box = el("input", {
+      type: "checkbox",
+      checked: usable && !dropped.has(pr.tabId),
+      disabled: !usable,
     });
-  }
-
-  function buildPrompt(prUrl, items) {
-    const header = [
-      "Task: Apply the following review suggestions from GitHub Copilot to the codebase in this PR.",
-      prUrl ? `PR: ${prUrl}` : null,
-      "Instructions:",
-      "- For each item, implement the change described.",
-      "- If multiple files are impacted, update all relevant locations.",
-      "- Preserve existing behavior unless a change is explicitly requested.",
-      "",
-    ]
-      .filter(Boolean)
-      .join("\n");
-
-    const body = items
-      .map((s, idx) => {
-        return [
-          `#${idx + 1} ${s.summary}`,
-          s.text !== s.summary ? `Details:\n${s.text}` : null,
-          s.sourceUrl ? `Source: ${s.sourceUrl}` : null,
-          "",
-        ]
-          .filter(Boolean)
-          .join("\n");
-      })
-      .join("\n");
-
-    return header + "\n" + body;
-  }
-
-  function copySelectedPrompt(tab) {
-    const ids = lastSelectedIds.slice();
-    // If nothing selected, default to copying all found suggestions
-    if (ids.length === 0) {
-      if (lastSuggestions.length > 0) {
-        const prompt = buildPrompt(tab && tab.url, lastSuggestions);
-        navigator.clipboard
-          .writeText(prompt)
-          .then(() => {
-            document.getElementById("status").textContent =
-              `Copied ${lastSuggestions.length} suggestion(s).`;
-          })
-          .catch((err) => {
-            document.getElementById("status").textContent =
-              "Copy failed: " +
-              (err && err.message ? err.message : "unknown error");
-          });
-      } else {
-        document.getElementById("status").textContent =
-          "No suggestions available to copy.";
-      }
+    box.addEventListener("change", () => {
+      if (box.checked) dropped.delete(pr.tabId);
+      else dropped.add(pr.tabId);
+      renderBatch();
+    });
+    return el("label", { className: "item" }, [
+      box,
+      el("span", { className: "text" }, [
+        el("span", { textContent: pr.title }),
+        el("span", {
+          className: "meta",
+          textContent:
+            pr.error || `${pr.selected} of ${pr.found} selected · ${pr.url}`,
+        }),
+      ]),
+    ]);
+  };
+
+  const renderBatch = () => {
+    batchList.hidden = false;
+    batchList.replaceChildren(...batch.map(renderBatchRow));
+    if (batch.length === 0) {
+      batchList.append(
+        el("div", { className: "empty", textContent: "No open PR tabs." }),
+      );
+    }
+    const ids = batchIds();
+    batchCopyBtn.hidden = batch.length === 0;
+    batchCopyBtn.disabled = ids.length === 0;
+    batchCopyBtn.textContent = `Copy batch prompt (${ids.length} PR(s))`;
+  };
+
+  const collect = async () => {
+    setStatus("Collecting…");
+    const resp = await P.sendToBackground("CRTP_BATCH_QUERY");
+    if (!resp.ok) {
+      setStatus(resp.error.message);
       return;
     }
-    chrome.tabs.sendMessage(
-      tab.id,
-      { type: "CRTP_BUILD_PROMPT", ids },
-      (resp) => {
-        if (chrome.runtime.lastError || !resp || !resp.prompt) {
-          document.getElementById("status").textContent =
-            "Copy failed: unable to build prompt.";
-          return;
-        }
-        navigator.clipboard
-          .writeText(resp.prompt)
-          .then(() => {
-            document.getElementById("status").textContent =
-              `Copied ${ids.length} suggestion(s).`;
-          })
-          .catch((err) => {
-            document.getElementById("status").textContent =
-              "Copy failed: " +
-              (err && err.message ? err.message : "unknown error");
-          });
-      },
-    );
-  }
-
-  getActiveTab((tab) => {
-    if (!tab) return;
-    queryInfo(tab.id, () => {
-      document.getElementById("init").addEventListener("click", () => {
-        injectContentScript(tab.id, () => {
-          chrome.tabs.sendMessage(tab.id, { type: "CRTP_OPEN_PANEL" }, () => {
-            queryInfo(tab.id);
-          });
-        });
-      });
-      document
-        .getElementById("refresh")
-        .addEventListener("click", () => queryInfo(tab.id));
-      document
-        .getElementById("copy")
-        .addEventListener("click", () => copySelectedPrompt(tab));
+    batch = resp.prs;
+    setStatus("");
+    renderBatch();
+  };
+
+  const copyBatch = async () => {
+    const resp = await P.sendToBackground("CRTP_BATCH_BUILD", {
+      tabIds: batchIds(),
     });
+    if (!resp.ok) {
+      setStatus(resp.error.message);
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(resp.text);
+      setStatus(
+        `Copied ${resp.count} suggestion(s) from ${resp.prs.length} PR(s).` +
+          resp.failed.map((f) => ` ${f.url}: ${f.error}.`).join(""),
+      );
+    } catch (e) {
+      setStatus("Copy failed: " + (e?.message || "unknown error"));
+    }
+  };
+
+  search.addEventListener("input", render);
+  selectAll.addEventListener("change", () =>
+    select(
+      visible().map((s) => s.id),
+      selectAll.checked,
+    ),
+  );
+  format.addEventListener("change", render);
+  template.addEventListener("change", () =>
+    send("CRTP_SET_TEMPLATE", { id: template.value }),
+  );
+  copyBtn.addEventListener("click", copy);
+  download.addEventListener("change", save);
+  refreshBtn.addEventListener("click", async () => {
+    await send("CRTP_REFRESH");
+    setTimeout(query, REFRESH_WAIT_MS);
+  });
+  panelBtn.addEventListener("click", async () => {
+    const resp = await send("CRTP_TOGGLE_PANEL");
+    // Out of the way so the page panel can be used
+    if (resp.ok) window.close();
+  });
+  collectBtn.addEventListener("click", collect);
+  batchCopyBtn.addEventListener("click", copyBatch);
+
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (!tabs[0]) return;
+    tabId = tabs[0].id;
+    query();
   });
 });
@@ -0,0 +1,410 @@
+/* pr-store.js
+ * Per-PR state (deselected / ignored suggestion ids, skip reasons, notes and edits,
+ * custom items) in chrome.storage.
+ * - One entry per PR under "crtp:pr:<PR URL>" in chrome.storage.local.
+ * - When the syncPRState setting is on, the selection alone (deselected / ignored)
+ *   is also kept under the same key in chrome.storage.sync, so it follows you across
+ *   browsers. Sync items are small (8 KB each) and writes are rate limited, so those
+ *   writes are batched; failures are reported through onSyncError().
+ * - Entries remember when the PR was last seen merged/closed so they can expire.
+ * - Shared by content.js and the options page ("Stored PRs").
+ */
+
+(() => {
+  "use strict";
+
+  const PREFIX = "crtp:pr:";
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  // Entry fields mirrored to chrome.storage.sync
+  const SYNCED_FIELDS = ["deselected", "ignored"];
+  // Wait this long after a change before writing the selection to sync
+  const SYNC_FLUSH_MS = 2000;
+
+  const hasStorage = () =>
+    typeof chrome !== "undefined" && !!chrome.storage?.local;
+
+  const syncEnabled = async () =>
+    !!chrome.storage.sync && (await CRTPSettings.load()).syncPRState;
+
+  // chrome.storage.sync.QUOTA_BYTES_PER_ITEM, with Chrome's value as the fallback
+  const syncItemLimit = () => chrome.storage.sync?.QUOTA_BYTES_PER_ITEM || 8192;
+
+  const emptyEntry = (url) => ({
+    url,
+    title: "",
+    deselected: [],
+    ignored: [],
+    // anchor -> fingerprint of the suggestion text the user last saw
+    seen: {},
+    // anchor -> when the suggestion was first extracted on this PR (ms)
+    firstSeen: {},
+    // When the current (or last) visit started and when the PR was last open (ms);
+    // see recordVisit()
+    visitStartedAt: 0,
+    lastActiveAt: 0,
+    // anchor -> why the user skipped it ("won't fix", "false positive", …)
+    skipReasons: {},
+    // suggestion id -> { note, summary, text } added or rewritten by the user
+    annotations: {},
+    // [{ id, text, filePath, lineStart, lineEnd, createdAt }] written by the user
+    customItems: [],
+    // "open" | "draft" | "merged" | "closed" as last seen on the page
+    prState: "open",
+    closedAt: null,
+    updatedAt: 0,
+  });
+
+  const normalize = (url, raw) => ({ ...emptyEntry(url), ...(raw || {}), url });
+
+  // What goes to chrome.storage.sync for an entry
+  const syncedPart = (entry) => {
+    const out = { updatedAt: entry.updatedAt };
+    SYNCED_FIELDS.forEach((f) => (out[f] = entry[f]));
+    return out;
+  };
+
+  // The local entry with the synced selection applied when that is newer. A PR
+  // only known from sync (another browser) starts from what sync has.
+  const withSynced = (url, entry, remote) => {
+    if (!remote || !(remote.updatedAt > entry.updatedAt)) return entry;
+    if (!entry.updatedAt) return normalize(url, remote);
+    const out = { ...entry, updatedAt: remote.updatedAt };
+    SYNCED_FIELDS.forEach((f) => {
+      if (Array.isArray(remote[f])) out[f] = remote[f];
+    });
+    return out;
+  };
+
+  // "<area>:<key>" -> JSON this page last wrote there, so onChanged can tell its own
+  // writes from another tab's or device's
+  const ownWrites = new Map();
+
+  const setOwn = (area, items) => {
+    Object.entries(items).forEach(([key, value]) =>
+      ownWrites.set(`${area}:${key}`, JSON.stringify(value)),
+    );
+    return chrome.storage[area].set(items);
+  };
+
+  const writeEntry = (url, entry) => setOwn("local", { [PREFIX + url]: entry });
+
+  // Writes are read-modify-write; chain them so two quick toggles can't race
+  let queue = Promise.resolve();
+  const enqueue = (fn) => {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  // --------------------- Sync writes ---------------------
+
+  const syncErrorListeners = [];
+  const reportSyncError = (err) => syncErrorListeners.forEach((cb) => cb(err));
+
+  // URL -> syncedPart() waiting to be written
+  const pendingSync = new Map();
+  let syncTimer = null;
+
+  // { key: value } that fit in a sync item, plus an Error for each that doesn't
+  const fitSyncItems = (parts) => {
+    const items = {};
+    const errors = [];
+    const limit = syncItemLimit();
+    parts.forEach((value, url) => {
+      const key = PREFIX + url;
+      const size = key.length + JSON.stringify(value).length;
+      if (size > limit) {
+        errors.push(
+          new Error(
+            `Selection for ${url} is too large to sync (${size} of ${limit} bytes); it is kept on this device only`,
+          ),
+        );
+      } else {
+        items[key] = value;
+      }
+    });
+    return { items, errors };
+  };
+
+  /** Write pending selection changes to chrome.storage.sync now. */
+  const flush = async () => {
+    clearTimeout(syncTimer);
+    syncTimer = null;
+    if (pendingSync.size === 0) return;
+    const { items, errors } = fitSyncItems(new Map(pendingSync));
+    pendingSync.clear();
+    if (Object.keys(items).length) {
+      try {
+        await setOwn("sync", items);
+      } catch (e) {
+        errors.push(
+          new Error(
+            `Could not sync the selection: ${e?.message || e}; it is kept on this device`,
+          ),
+        );
+      }
+    }
+    errors.forEach(reportSyncError);
+  };
+
+  const scheduleSync = (url, entry) => {
+    pendingSync.set(url, syncedPart(entry));
+    if (!syncTimer) syncTimer = setTimeout(flush, SYNC_FLUSH_MS);
+  };
+
+  // --------------------- Entries ---------------------
+
+  /** Stored state for one PR (defaults when nothing is saved). */
+  const get = async (url) => {
+    if (!hasStorage()) return emptyEntry(url);
+    try {
+      const key = PREFIX + url;
+      const entry = normalize(url, (await chrome.storage.local.get(key))[key]);
+      if (!(await syncEnabled())) return entry;
+      return withSynced(url, entry, (await chrome.storage.sync.get(key))[key]);
+    } catch {
+      return emptyEntry(url);
+    }
+  };
+
+  /** Merge `patch` into a PR's entry and resolve with the result. */
+  const update = (url, patch) =>
+    enqueue(async () => {
+      const next = { ...(await get(url)), ...patch, updatedAt: Date.now() };
+      if (hasStorage()) {
+        await writeEntry(url, next);
+        if (SYNCED_FIELDS.some((f) => f in patch) && (await syncEnabled())) {
+          scheduleSync(url, next);
+        }
+      }
+      return next;
+    });
+
+  const entriesIn = (data) =>
+    Object.keys(data)
+      .filter((k) => k.startsWith(PREFIX))
+      .map((k) => [k.slice(PREFIX.length), data[k]]);
+
+  /** Every stored PR entry, most recently updated first. */
+  const list = async () => {
+    if (!hasStorage()) return [];
+    const byUrl = new Map(
+      entriesIn(await chrome.storage.local.get(null)).map(([url, raw]) => [
+        url,
+        normalize(url, raw),
+      ]),
+    );
+    if (await syncEnabled()) {
+      entriesIn(await chrome.storage.sync.get(null)).forEach(([url, raw]) => {
+        byUrl.set(url, withSynced(url, byUrl.get(url) || emptyEntry(url), raw));
+      });
+    }
+    return [...byUrl.values()].sort((a, b) => b.updatedAt - a.updatedAt);
+  };
+
+  /** Forget PRs here and, if they were synced, in every browser. */
+  const remove = (urls) =>
+    enqueue(async () => {
+      if (!hasStorage() || urls.length === 0) return;
+      urls.forEach((u) => pendingSync.delete(u));
+      const keys = urls.map((u) => PREFIX + u);
+      await chrome.storage.local.remove(keys);
+      if (chrome.storage.sync) await chrome.storage.sync.remove(keys);
+    });
+
+  /**
+   * Record the PR's open/merged/closed state. closedAt is set the first time the
+   * PR is seen merged or closed and cleared if it is reopened.
+   */
+  const recordPRState = (url, prState, title) =>
+    enqueue(async () => {
+      const entry = await get(url);
+      const closed = prState === "merged" || prState === "closed";
+      const closedAt = closed ? entry.closedAt || Date.now() : null;
+      if (
+        entry.prState === prState &&
+        entry.closedAt === closedAt &&
+        (!title || entry.title === title)
+      ) {
+        return entry;
+      }
+      // Don't create entries just to remember the state of PRs we have nothing for
+      if (!entry.updatedAt) return entry;
+      const next = { ...entry, prState, closedAt, title: title || entry.title };
+      await writeEntry(url, next);
+      return next;
+    });
+
+  /**
+   * Note that the PR is open now and resolve with when this visit started. A visit
+   * lasts until the PR has not been open for `gapMs`, so reloads and tab switches
+   * stay in the same one. Like the PR state, this is kept on this device only.
+   */
+  const recordVisit = (url, gapMs) =>
+    enqueue(async () => {
+      const entry = await get(url);
+      const now = Date.now();
+      const visitStartedAt =
+        entry.visitStartedAt && now - entry.lastActiveAt <= gapMs
+          ? entry.visitStartedAt
+          : now;
+      if (hasStorage()) {
+        await writeEntry(url, { ...entry, visitStartedAt, lastActiveAt: now });
+      }
+      return visitStartedAt;
+    });
+
+  /** Note that the PR was open until now without starting a new visit. */
+  const touchVisit = (url) =>
+    enqueue(async () => {
+      const entry = await get(url);
+      if (!hasStorage() || !entry.visitStartedAt) return;
+      await writeEntry(url, { ...entry, lastActiveAt: Date.now() });
+    });
+
+  /** Delete entries for PRs merged/closed more than `days` days ago; resolves with the URLs removed. */
+  const expire = async (days) => {
+    if (!hasStorage() || !(days > 0)) return [];
+    const cutoff = Date.now() - days * DAY_MS;
+    const stale = (await list())
+      .filter((e) => e.closedAt && e.closedAt < cutoff)
+      .map((e) => e.url);
+    await remove(stale);
+    return stale;
+  };
+
+  /**
+   * Start or stop syncing, e.g. when the setting flips. Turning it on copies every
+   * PR's selection to sync; turning it off keeps the newest selection here and
+   * clears sync. Resolves with { moved, tooLarge } (PRs left on this device).
+   */
+  const moveAll = (toSync) =>
+    enqueue(async () => {
+      if (!hasStorage() || !chrome.storage.sync) {
+        return { moved: 0, tooLarge: 0 };
+      }
+      const local = new Map(
+        entriesIn(await chrome.storage.local.get(null)).map(([url, raw]) => [
+          url,
+          normalize(url, raw),
+        ]),
+      );
+      if (toSync) {
+        const parts = new Map();
+        local.forEach((entry, url) => parts.set(url, syncedPart(entry)));
+        const { items, errors } = fitSyncItems(parts);
+        if (Object.keys(items).length) await chrome.storage.sync.set(items);
+        return { moved: Object.keys(items).length, tooLarge: errors.length };
+      }
+      const remote = entriesIn(await chrome.storage.sync.get(null));
+      if (remote.length === 0) return { moved: 0, tooLarge: 0 };
+      const merged = {};
+      remote.forEach(([url, raw]) => {
+        merged[PREFIX + url] = withSynced(
+          url,
+          local.get(url) || emptyEntry(url),
+          raw,
+        );
+      });
+      await chrome.storage.local.set(merged);
+      await chrome.storage.sync.remove(Object.keys(merged));
+      pendingSync.clear();
+      return { moved: remote.length, tooLarge: 0 };
+    });
+
+  /**
+   * Move "<prefix><PR URL>:deselected" / ":ignored" keys from a page's localStorage
+   * (where older versions kept them) into the store. `toPRUrl` maps the stored URL
+   * to the canonical PR URL, or null to leave the key alone.
+   */
+  const migrateLocalStorage = (ls, legacyPrefix, toPRUrl) =>
+    enqueue(async () => {
+      const found = new Map();
+      for (let i = 0; i < ls.length; i++) {
+        const key = ls.key(i);
+        const m = key && key.match(/^(.*):(deselected|ignored)$/);
+        if (!m || !m[1].startsWith(legacyPrefix)) continue;
+        const url = toPRUrl(m[1].slice(legacyPrefix.length));
+        if (!url) continue;
+        let ids = [];
+        try {
+          ids = JSON.parse(ls.getItem(key)) || [];
+        } catch {
+          // unreadable legacy value; drop it
+        }
+        if (!found.has(url))
+          found.set(url, { keys: [], deselected: [], ignored: [] });
+        const entry = found.get(url);
+        entry.keys.push(key);
+        if (Array.isArray(ids)) entry[m[2]].push(...ids);
+      }
+      if (!hasStorage()) return 0;
+      const sync = found.size > 0 && (await syncEnabled());
+      for (const [url, legacy] of found) {
+        const entry = await get(url);
+        const union = (a, b) => Array.from(new Set([...a, ...b]));
+        const next = {
+          ...entry,
+          deselected: union(entry.deselected, legacy.deselected),
+          ignored: union(entry.ignored, legacy.ignored),
+          updatedAt: entry.updatedAt || Date.now(),
+        };
+        await writeEntry(url, next);
+        if (sync) scheduleSync(url, next);
+        legacy.keys.forEach((k) => ls.removeItem(k));
+      }
+      return found.size;
+    });
+
+  // Fields that only say when the PR was open; changing them alone is not news
+  const VISIT_FIELDS = ["visitStartedAt", "lastActiveAt"];
+
+  const withoutVisit = (value) => {
+    const out = { ...(value || {}) };
+    VISIT_FIELDS.forEach((f) => delete out[f]);
+    return JSON.stringify(out);
+  };
+
+  /**
+   * Call cb(entry) when another tab or device changes a PR's entry. This page's own
+   * writes and changes to the visit times alone are not reported.
+   */
+  const onChanged = (url, cb) => {
+    if (!hasStorage() || !chrome.storage.onChanged) return;
+    const key = PREFIX + url;
+    chrome.storage.onChanged.addListener((changes, area) => {
+      const change = changes[key];
+      // Removals (cleanup, turning sync off) leave the open page's state alone
+      if (!change?.newValue) return;
+      if (ownWrites.get(`${area}:${key}`) === JSON.stringify(change.newValue)) {
+        return;
+      }
+      if (withoutVisit(change.oldValue) === withoutVisit(change.newValue)) {
+        return;
+      }
+      if (area === "local") cb(normalize(url, change.newValue));
+      else if (area === "sync") get(url).then(cb, () => {});
+    });
+  };
+
+  /** Call cb(error) when a selection could not be written to chrome.storage.sync. */
+  const onSyncError = (cb) => {
+    syncErrorListeners.push(cb);
+  };
+
+  globalThis.CRTPStore = {
+    get,
+    update,
+    list,
+    remove,
+    recordPRState,
+    recordVisit,
+    touchVisit,
+    expire,
+    moveAll,
+    migrateLocalStorage,
+    onChanged,
+    onSyncError,
+    flush,
+  };
+})();
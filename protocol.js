@@ -0,0 +1,257 @@
+/* protocol.js
+ * Versioned message protocol between the popup / background and the content script,
+ * and the suggestion model both sides share. Loaded by content.js, popup.js and
+ * background.js. CRTP_BATCH_* requests go from the popup to background.js, which
+ * fans them out to every open PR tab; CRTP_API_* and CRTP_DOWNLOAD go from the
+ * content script to background.js; the rest go to one tab's content script.
+ *
+ * Every request is { type, v, ...payload } and every response either
+ * { ok: true, v, ...data } or { ok: false, v, error: { code, message } }.
+ * REQUESTS lists the payload fields each type accepts ("?" marks optional ones);
+ * handle() validates them before a handler runs, so handlers only see good input.
+ */
+
+(() => {
+  "use strict";
+
+  const VERSION = 1;
+
+  const ERRORS = {
+    // The other side speaks a different protocol version (reload the tab)
+    UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION",
+    UNKNOWN_TYPE: "UNKNOWN_TYPE",
+    // The payload does not match REQUESTS
+    BAD_REQUEST: "BAD_REQUEST",
+    // No content script answered in that tab
+    NO_RECEIVER: "NO_RECEIVER",
+    NOT_A_PR: "NOT_A_PR",
+    NOTHING_SELECTED: "NOTHING_SELECTED",
+    // format "patch" but none of the items has a usable suggested change
+    NO_PATCH: "NO_PATCH",
+    DOWNLOAD_FAILED: "DOWNLOAD_FAILED",
+    // A GitHub API request relayed by background.js failed (the message has the status)
+    API_FAILED: "API_FAILED",
+    INTERNAL: "INTERNAL",
+  };
+
+  // Text formats for CRTP_BUILD and file formats for CRTP_EXPORT
+  const BUILD_FORMATS = ["prompt", "markdown", "json", "patch"];
+  const EXPORT_FORMATS = ["md", "json", "patch", "zip"];
+
+  const REQUESTS = {
+    // -> { isPR, url, suggestions: [item], selectedIds, skippedCount,
+    //      templates: [{ id, name }], templateId }
+    CRTP_QUERY: {},
+    // -> {}
+    CRTP_REFRESH: {},
+    CRTP_TOGGLE_PANEL: {},
+    CRTP_OPEN_PANEL: {},
+    // Select or deselect suggestions -> { selectedIds }
+    CRTP_SELECT: { ids: "string[]", selected: "boolean" },
+    // Skip suggestions (with an optional reason) or restore them -> { skippedCount }
+    CRTP_IGNORE: { ids: "string[]", ignored: "boolean", "reason?": "string" },
+    // Prompt template for CRTP_BUILD "prompt" (saved, so the panel follows) -> { templateId }
+    CRTP_SET_TEMPLATE: { id: "string" },
+    // Text of `ids` in that order (default: the panel's selection) -> { format, text, count }
+    CRTP_BUILD: { format: BUILD_FORMATS, "ids?": "string[]" },
+    // Save `ids` (default: the panel's selection) as a file -> { filename, count }
+    CRTP_EXPORT: { format: EXPORT_FORMATS, "ids?": "string[]" },
+
+    // background.js, all open PR tabs -> { prs: [{ tabId, url, title, found, selected, error }] }
+    CRTP_BATCH_QUERY: {},
+    // One prompt with a section per PR, from each tab's selection
+    // -> { text, count, prs: [{ tabId, url, title, count }], failed: [{ tabId, url, error }] }
+    CRTP_BATCH_BUILD: { tabIds: "number[]" },
+
+    // content.js -> background.js, against the API of the sender tab's host
+    // -> { comments, threads } (threads is empty without a token)
+    CRTP_API_LIST_REVIEW_COMMENTS: {
+      owner: "string",
+      repo: "string",
+      number: "number",
+    },
+    // -> { sha }
+    CRTP_API_PULL_HEAD: { owner: "string", repo: "string", number: "number" },
+    // File text at a commit -> { text }
+    CRTP_API_FILE_CONTENT: {
+      owner: "string",
+      repo: "string",
+      path: "string",
+      ref: "string",
+    },
+    // Save `text` as one file, or `files` ([{ path, text }]) as a zip -> { downloadId }
+    CRTP_DOWNLOAD: {
+      filename: "string",
+      "mimeType?": "string",
+      "text?": "string",
+      "files?": "object[]",
+    },
+  };
+
+  const ok = (data = {}) => ({ ok: true, v: VERSION, ...data });
+
+  const fail = (code, message) => ({
+    ok: false,
+    v: VERSION,
+    error: { code, message: message || code },
+  });
+
+  const request = (type, payload = {}) => ({ type, v: VERSION, ...payload });
+
+  const typeMatches = (value, spec) => {
+    if (Array.isArray(spec)) return spec.includes(value);
+    if (spec.endsWith("[]")) {
+      const type = spec.slice(0, -2);
+      return (
+        Array.isArray(value) &&
+        value.every((x) => typeof x === type && x !== null)
+      );
+    }
+    return typeof value === spec;
+  };
+
+  /** null when `msg` is a valid request, else a failure response describing why. */
+  const validate = (msg) => {
+    if (msg.v !== VERSION) {
+      return fail(
+        ERRORS.UNSUPPORTED_VERSION,
+        `Expected protocol version ${VERSION}, got ${msg.v}`,
+      );
+    }
+    const schema = REQUESTS[msg.type];
+    if (!schema) {
+      return fail(ERRORS.UNKNOWN_TYPE, `Unknown message type ${msg.type}`);
+    }
+    for (const [field, spec] of Object.entries(schema)) {
+      const optional = field.endsWith("?");
+      const name = optional ? field.slice(0, -1) : field;
+      if (optional && msg[name] === undefined) continue;
+      if (!typeMatches(msg[name], spec)) {
+        const expected = Array.isArray(spec) ? spec.join(" | ") : spec;
+        return fail(ERRORS.BAD_REQUEST, `${name} must be ${expected}`);
+      }
+    }
+    return null;
+  };
+
+  /**
+   * chrome.runtime.onMessage listener dispatching protocol requests to
+   * `handlers[type](msg, sender)`, which return (or resolve with) a response.
+   * Messages without a protocol version are left to other listeners.
+   */
+  const handle = (handlers) => (msg, sender, sendResponse) => {
+    if (!msg || !REQUESTS[msg.type] || !("v" in msg)) return false;
+    const invalid = validate(msg);
+    if (invalid) {
+      sendResponse(invalid);
+      return false;
+    }
+    const handler = handlers[msg.type];
+    if (!handler) {
+      sendResponse(
+        fail(ERRORS.UNKNOWN_TYPE, `${msg.type} is not handled here`),
+      );
+      return false;
+    }
+    Promise.resolve()
+      .then(() => handler(msg, sender))
+      .then(sendResponse, (e) =>
+        sendResponse(fail(ERRORS.INTERNAL, e?.message || "unknown error")),
+      );
+    return true;
+  };
+
+  // Resolve with the response `send(callback)` gets back, or NO_RECEIVER; never rejects
+  const deliver = (send, silence) =>
+    new Promise((resolve) => {
+      try {
+        send((resp) => {
+          if (chrome.runtime.lastError || !resp) {
+            resolve(
+              fail(
+                ERRORS.NO_RECEIVER,
+                chrome.runtime.lastError?.message || silence,
+              ),
+            );
+            return;
+          }
+          resolve(resp);
+        });
+      } catch (e) {
+        resolve(fail(ERRORS.NO_RECEIVER, e?.message));
+      }
+    });
+
+  /** Send a request to a tab's content script; resolves with a response, never rejects. */
+  const sendToTab = (tabId, type, payload) =>
+    deliver(
+      (cb) => chrome.tabs.sendMessage(tabId, request(type, payload), cb),
+      "No response from the page",
+    );
+
+  /** Send a request to background.js; resolves with a response, never rejects. */
+  const sendToBackground = (type, payload) =>
+    deliver(
+      (cb) => chrome.runtime.sendMessage(request(type, payload), cb),
+      "No response from the extension",
+    );
+
+  // --------------------- Suggestion model ---------------------
+
+  /**
+   * A suggestion as it crosses the protocol: plain data, no DOM references.
+   * Notes and edits (reviewerNote / handEdited) are already applied.
+   */
+  const toItem = (s) => ({
+    id: s.id,
+    origin: s.origin || "review",
+    author: s.author || null,
+    filePath: s.filePath || null,
+    lineStart: s.lineStart ?? null,
+    lineEnd: s.lineEnd ?? null,
+    side: s.side || null,
+    commitId: s.commitId || null,
+    summary: s.summary,
+    text: s.text || null,
+    reviewText: s.reviewText || null,
+    codeMentioned: s.codeMentioned || null,
+    suggestedChange: s.suggestedChange || null,
+    category: s.category || null,
+    severity: s.severity || null,
+    lifecycle: s.lifecycle || null,
+    reviewerNote: s.reviewerNote || null,
+    handEdited: !!s.handEdited,
+    sourceUrl: s.sourceUrl || null,
+  });
+
+  /** Text search used by the panel and the popup; `query` is lower-cased. */
+  const matchesQuery = (s, query) =>
+    [
+      s.summary,
+      s.text,
+      s.reviewText,
+      s.filePath,
+      s.author,
+      s.codeMentioned,
+      s.reviewerNote,
+    ]
+      .filter(Boolean)
+      .some((field) => field.toLowerCase().includes(query));
+
+  globalThis.CRTPProtocol = {
+    VERSION,
+    ERRORS,
+    BUILD_FORMATS,
+    EXPORT_FORMATS,
+    REQUESTS,
+    ok,
+    fail,
+    request,
+    validate,
+    handle,
+    sendToTab,
+    sendToBackground,
+    toItem,
+    matchesQuery,
+  };
+})();
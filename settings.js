@@ -0,0 +1,291 @@
+/* settings.js
+ * Extension settings shared by content.js, background.js, popup.js and options.js.
+ * - Regular settings are stored in chrome.storage.sync under a single key; the maps
+ *   and lists that grow with use (SPLIT_KEYS) get a key each, since sync caps every
+ *   item at 8 KB.
+ * - repoOverrides layers per-repository values over them (see forRepo).
+ * - Secrets (tokens) stay in chrome.storage.local and never sync.
+ */
+
+(() => {
+  "use strict";
+
+  const SETTINGS_KEY = "crtp:settings";
+  // Settings stored under their own sync key (older versions kept them in SETTINGS_KEY)
+  const SPLIT_KEYS = {
+    reviewerRules: "crtp:settings:reviewerRules",
+    repoOverrides: "crtp:settings:repoOverrides",
+    tokenProfiles: "crtp:settings:tokenProfiles",
+  };
+  const SPLIT_LABELS = {
+    reviewerRules: "Reviewer rules",
+    repoOverrides: "Repository overrides",
+    tokenProfiles: "Token profiles",
+  };
+  const SECRETS_KEY = "crtp:secrets";
+  // { "owner/repo": ["login", ...] } – authors seen on PRs, offered in the options page
+  const SEEN_REVIEWERS_KEY = "crtp:seenReviewers";
+
+  const DEFAULTS = {
+    // "dom" scrapes rendered review threads; "api" asks the GitHub REST API
+    extractionSource: "dom",
+    // Empty means https://api.github.com
+    apiBaseUrl: "",
+    // GitHub Enterprise Server hosts ("git.corp.example") the extension also runs on;
+    // background.js registers the content script there and their API is /api/v3
+    enterpriseHosts: [],
+    // Page extraction: which parts of a comment become suggestions
+    extractListItems: true,
+    extractPatternLines: true,
+    // The whole comment, when neither of the above nor a suggested change matched
+    wholeCommentFallback: true,
+    // Count comments that mention Copilot / "AI review" as Copilot's when the author is unclear
+    copilotContentHint: true,
+    // Without reviewer rules or Copilot comments on the PR: "all" comments or "none"
+    copilotFallback: "all",
+    summaryMaxLength: 140,
+    // Milliseconds to wait before re-reading threads after a refresh request / page change
+    refreshDebounceMs: 150,
+    observerDebounceMs: 300,
+    // Output: first line of the default prompt (empty means the built-in one)
+    promptHeader: "",
+    // Panel defaults
+    panelPosition: "top-right",
+    defaultSort: "page",
+    defaultGroupByFile: false,
+    // Review threads
+    skipResolvedThreads: false,
+    skipOutdatedThreads: false,
+    includeFollowUps: true,
+    // "Include in prompt" / Skip controls in the comment headers on the page
+    inlineControls: true,
+    // Lines of file context (at the PR head) around each comment; 0 turns it off
+    fileContextLines: 0,
+    // Sort Copy Prompt items blocker → should-fix → nit (classifier.js) and say so
+    orderBySeverity: false,
+    // { "owner/repo" | "*": ["regex", ...] } – authors whose comments become suggestions
+    reviewerRules: {},
+    // Send to model (see llm.js); empty base URL means the provider's public API
+    llmProvider: "openai",
+    llmBaseUrl: "",
+    llmModel: "",
+    llmMaxTokens: 4096,
+    // Token budget (tokens.js); an empty list means the built-in profiles
+    tokenProfiles: [],
+    tokenProfileId: "gpt-4o",
+    // Per-PR selection state (pr-store.js)
+    syncPRState: false,
+    // Forget state for PRs merged/closed this many days ago; 0 keeps it forever
+    prStateRetentionDays: 30,
+    // { "owner/repo": { setting: value, … } } – see OVERRIDABLE
+    repoOverrides: {},
+  };
+
+  const PANEL_POSITIONS = [
+    "top-right",
+    "top-left",
+    "bottom-right",
+    "bottom-left",
+  ];
+
+  // Settings a repository can override; the rest are global (or already per repo)
+  const OVERRIDABLE = Object.keys(DEFAULTS).filter(
+    (key) =>
+      ![
+        "repoOverrides",
+        "reviewerRules",
+        "enterpriseHosts",
+        "syncPRState",
+        "prStateRetentionDays",
+        "tokenProfiles",
+      ].includes(key),
+  );
+
+  const SECRET_DEFAULTS = {
+    githubToken: "",
+    // { "git.corp.example": token } – never sent to github.com or another host
+    enterpriseTokens: {},
+    llmApiKey: "",
+  };
+
+  const hasStorage = () =>
+    typeof chrome !== "undefined" && !!chrome.storage?.sync;
+
+  const STORAGE_KEYS = [SETTINGS_KEY, ...Object.values(SPLIT_KEYS)];
+
+  // Settings from the stored items; a split key wins over a value left in SETTINGS_KEY
+  const fromStored = (data) => {
+    const out = { ...DEFAULTS, ...(data[SETTINGS_KEY] || {}) };
+    Object.entries(SPLIT_KEYS).forEach(([name, key]) => {
+      if (data[key] !== undefined) out[name] = data[key];
+    });
+    return out;
+  };
+
+  const load = async () => {
+    if (!hasStorage()) return { ...DEFAULTS };
+    try {
+      return fromStored(await chrome.storage.sync.get(STORAGE_KEYS));
+    } catch {
+      return { ...DEFAULTS };
+    }
+  };
+
+  const itemLimit = () => chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192;
+
+  // Sync measures an item as the UTF-8 bytes of its key plus the JSON of its value;
+  // string length undercounts non-ASCII text such as reviewer names
+  const itemSize = (key, value) =>
+    new TextEncoder().encode(key + JSON.stringify(value)).length;
+
+  /**
+   * Merge `patch` into the stored settings and resolve with the result. Only the
+   * items the patch touches are written. Rejects with a readable Error when an
+   * item would exceed sync's per-item quota (or sync refuses the write).
+   */
+  const save = async (patch) => {
+    if (!hasStorage()) return { ...DEFAULTS, ...patch };
+    const data = await chrome.storage.sync.get(STORAGE_KEYS);
+    const next = { ...fromStored(data), ...patch };
+    const main = { ...next };
+    Object.keys(SPLIT_KEYS).forEach((name) => delete main[name]);
+    const items = { [SETTINGS_KEY]: main };
+    const labels = { [SETTINGS_KEY]: "Settings" };
+    Object.entries(SPLIT_KEYS).forEach(([name, key]) => {
+      // Also moves a value still kept in SETTINGS_KEY out to its own key
+      if (
+        name in patch ||
+        (data[key] === undefined && name in (data[SETTINGS_KEY] || {}))
+      ) {
+        items[key] = next[name];
+        labels[key] = SPLIT_LABELS[name];
+      }
+    });
+    Object.entries(items).forEach(([key, value]) => {
+      const size = itemSize(key, value);
+      if (size > itemLimit()) {
+        throw new Error(
+          `${labels[key]} are too large to sync (${size} of ${itemLimit()} bytes)`,
+        );
+      }
+    });
+    try {
+      await chrome.storage.sync.set(items);
+    } catch (e) {
+      throw new Error(`sync storage refused the change (${e?.message || e})`);
+    }
+    return next;
+  };
+
+  const loadSecrets = async () => {
+    if (!hasStorage()) return { ...SECRET_DEFAULTS };
+    try {
+      const data = await chrome.storage.local.get(SECRETS_KEY);
+      return { ...SECRET_DEFAULTS, ...(data[SECRETS_KEY] || {}) };
+    } catch {
+      return { ...SECRET_DEFAULTS };
+    }
+  };
+
+  const saveSecrets = async (patch) => {
+    const next = { ...(await loadSecrets()), ...patch };
+    if (hasStorage()) await chrome.storage.local.set({ [SECRETS_KEY]: next });
+    return next;
+  };
+
+  const loadSeenReviewers = async () => {
+    if (!hasStorage()) return {};
+    try {
+      const data = await chrome.storage.local.get(SEEN_REVIEWERS_KEY);
+      return data[SEEN_REVIEWERS_KEY] || {};
+    } catch {
+      return {};
+    }
+  };
+
+  /** Remember reviewer names seen on a repository; no-op if nothing is new. */
+  const rememberReviewers = async (repo, names) => {
+    if (!hasStorage() || !repo) return;
+    const seen = await loadSeenReviewers();
+    const known = new Set(seen[repo] || []);
+    const fresh = names.filter((n) => n && !known.has(n));
+    if (fresh.length === 0) return;
+    seen[repo] = [...known, ...fresh].sort((a, b) => a.localeCompare(b));
+    await chrome.storage.local.set({ [SEEN_REVIEWERS_KEY]: seen });
+  };
+
+  /**
+   * Validate repoOverrides as typed in the options page. Throws a readable Error;
+   * returns the overrides unchanged when they are usable.
+   */
+  const validateOverrides = (overrides) => {
+    if (
+      !overrides ||
+      typeof overrides !== "object" ||
+      Array.isArray(overrides)
+    ) {
+      throw new Error(
+        'Overrides must be an object like { "owner/repo": { … } }',
+      );
+    }
+    Object.entries(overrides).forEach(([repo, values]) => {
+      if (!/^[\w.-]+\/[\w.-]+$/.test(repo)) {
+        throw new Error(`"${repo}" is not an owner/repo name`);
+      }
+      if (!values || typeof values !== "object" || Array.isArray(values)) {
+        throw new Error(`${repo}: expected an object of settings`);
+      }
+      Object.entries(values).forEach(([key, value]) => {
+        if (!OVERRIDABLE.includes(key)) {
+          throw new Error(
+            `${repo}: "${key}" can't be overridden per repository`,
+          );
+        }
+        if (typeof value !== typeof DEFAULTS[key]) {
+          throw new Error(
+            `${repo}: "${key}" should be a ${typeof DEFAULTS[key]}`,
+          );
+        }
+      });
+    });
+    return overrides;
+  };
+
+  /** Settings as they apply on `repo` ("owner/repo"): global values plus its overrides. */
+  const forRepo = (settings, repo) => {
+    const overrides = (settings.repoOverrides || {})[repo];
+    if (!repo || !overrides) return settings;
+    const out = { ...settings };
+    OVERRIDABLE.forEach((key) => {
+      if (key in overrides && typeof overrides[key] === typeof DEFAULTS[key]) {
+        out[key] = overrides[key];
+      }
+    });
+    return out;
+  };
+
+  /** Call cb(settings) whenever the synced settings change. */
+  const onChanged = (cb) => {
+    if (!hasStorage() || !chrome.storage.onChanged) return;
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "sync" && STORAGE_KEYS.some((key) => changes[key])) {
+        load().then(cb);
+      }
+    });
+  };
+
+  globalThis.CRTPSettings = {
+    DEFAULTS,
+    PANEL_POSITIONS,
+    OVERRIDABLE,
+    load,
+    save,
+    loadSecrets,
+    saveSecrets,
+    loadSeenReviewers,
+    rememberReviewers,
+    validateOverrides,
+    forRepo,
+    onChanged,
+  };
+})();
@@ -0,0 +1,500 @@
+/* templates.js
+ * Prompt template engine shared by content.js, popup.js and options.js.
+ *
+ * Templates are plain text with Handlebars-like placeholders:
+ * - {{pr.url}}, {{item.filePath}}          -> value lookup (dot paths)
+ * - {{#each items}}...{{/each}}            -> loop; binds `item`, `@index`, `@number`, `@first`, `@last`
+ * - {{#each items as entry}}...{{/each}}   -> loop with a custom alias
+ * - {{#if item.reviewText}}...{{else}}...{{/if}}, {{#unless ...}} -> conditionals
+ * - {{! comment }}                         -> ignored
+ * A block tag that sits alone on its line removes the whole line from the output,
+ * so templates can be laid out one tag per line without leaving blank lines behind.
+ *
+ * Built-in templates are read-only; user templates live in chrome.storage.local.
+ */
+
+(() => {
+  "use strict";
+
+  const STORAGE_KEY = "crtp:templates";
+  const ACTIVE_KEY = "crtp:activeTemplateId";
+  const DEFAULT_TEMPLATE_ID = "default";
+
+  // First line of the default prompt; the promptHeader setting replaces it
+  const DEFAULT_PROMPT_HEADER =
+    "Task: Apply the following GitHub Copilot review suggestions to the codebase in this PR.";
+
+  const DEFAULT_TEMPLATE_BODY = `{{header}}
+PR: {{pr.url}}
+{{#if part}}
+Part {{part.number}} of {{part.total}}: the other parts cover the remaining items (grouped by file); apply only the items below.
+{{/if}}
+Instructions:
+- For each item, implement the change described.
+- If multiple files are impacted, update all relevant locations.
+- Preserve existing behavior unless a change is explicitly requested.
+{{#if orderedBySeverity}}
+- Items are ordered by severity (blocker, then should-fix, then nit); address blockers first.
+{{/if}}
+
+{{#each items}}
+#{{@number}} {{item.summary}}{{#if item.handEdited}} [edited by reviewer]{{/if}}
+{{#if item.isCustom}}
+Source: added by the reviewer (not from a review comment)
+{{/if}}
+{{#if item.fileLine}}
+{{item.fileLine}}
+{{/if}}
+{{#if item.commitShort}}
+Commented on commit: {{item.commitShort}}
+{{/if}}
+{{#if item.author}}
+Reviewer: {{item.author}}
+{{/if}}
+{{#if item.severity}}
+Severity: {{item.severity}} ({{item.category}})
+{{/if}}
+{{#if item.codeMentioned}}
+Code mentioned:
+{{item.codeMentioned}}
+{{/if}}
+{{#if item.fileContext}}
+File context at {{item.fileContext.commitShort}} (lines {{item.fileContext.startLine}}-{{item.fileContext.endLine}}; commented lines marked with ">"):
+{{item.fileContext.excerpt}}
+{{/if}}
+{{#if item.reviewText}}
+Review:
+{{item.reviewText}}
+{{/if}}
+{{#if item.suggestionBlock}}
+{{item.suggestionBlock}}
+{{/if}}
+{{#if item.reviewerNote}}
+Reviewer note (follow it where it conflicts with the suggestion):
+{{item.reviewerNote}}
+{{/if}}
+{{#if item.threadState}}
+Thread: {{item.threadState}}
+{{/if}}
+{{#if item.followUps}}
+Reviewer follow-ups (treat these as constraints; they override the suggestion where they conflict):
+{{#each item.followUps as reply}}
+- {{reply.author}}: {{reply.text}}
+{{/each}}
+{{/if}}
+
+{{/each}}
+`;
+
+  const CHECKLIST_TEMPLATE_BODY = `Apply these review comments to {{pr.url}} ({{count}} item(s)):
+
+{{#each items}}
+- [ ] {{#if item.filePath}}\`{{item.filePath}}\`{{#if item.linesLabel}} {{item.linesLabel}}{{/if}}: {{/if}}{{item.summary}}{{#if item.reviewerNote}} (note: {{item.reviewerNote}}){{/if}}
+{{/each}}
+`;
+
+  const BUILTIN_TEMPLATES = [
+    {
+      id: DEFAULT_TEMPLATE_ID,
+      name: "Default prompt",
+      body: DEFAULT_TEMPLATE_BODY,
+      builtin: true,
+    },
+    {
+      id: "checklist",
+      name: "Compact checklist",
+      body: CHECKLIST_TEMPLATE_BODY,
+      builtin: true,
+    },
+  ];
+
+  // --------------------- Engine ---------------------
+
+  const TAG_RE = /\{\{\s*([#/!]?)\s*([\s\S]*?)\s*\}\}/g;
+  const STANDALONE_RE =
+    /^[ \t]*(\{\{\s*(?:[#/!][^}]*|else)\s*\}\})[ \t]*(?:\r?\n|$)/gm;
+
+  const tokenize = (src) => {
+    const tokens = [];
+    const text = src.replace(STANDALONE_RE, "$1");
+    let last = 0;
+    let m;
+    TAG_RE.lastIndex = 0;
+    while ((m = TAG_RE.exec(text))) {
+      if (m.index > last) {
+        tokens.push({ type: "text", value: text.slice(last, m.index) });
+      }
+      const [, sigil, expr] = m;
+      if (sigil === "!") {
+        // comment
+      } else if (sigil === "#") {
+        const [name, ...rest] = expr.split(/\s+/);
+        tokens.push({ type: "open", name, args: rest });
+      } else if (sigil === "/") {
+        tokens.push({ type: "close", name: expr });
+      } else if (expr === "else") {
+        tokens.push({ type: "else" });
+      } else {
+        tokens.push({ type: "var", path: expr });
+      }
+      last = TAG_RE.lastIndex;
+    }
+    if (last < text.length) {
+      tokens.push({ type: "text", value: text.slice(last) });
+    }
+    return tokens;
+  };
+
+  const parse = (tokens) => {
+    let pos = 0;
+
+    const parseNodes = (closing) => {
+      const nodes = [];
+      while (pos < tokens.length) {
+        const tok = tokens[pos];
+        if (tok.type === "close" || tok.type === "else") {
+          if (!closing) {
+            throw new Error(
+              tok.type === "else"
+                ? "Unexpected {{else}} outside of a block"
+                : `Unexpected {{/${tok.name}}}`,
+            );
+          }
+          return nodes;
+        }
+        pos++;
+        if (tok.type === "text") {
+          nodes.push(tok);
+        } else if (tok.type === "var") {
+          nodes.push(tok);
+        } else if (tok.type === "open") {
+          nodes.push(parseBlock(tok));
+        }
+      }
+      if (closing) throw new Error(`Missing {{/${closing}}}`);
+      return nodes;
+    };
+
+    const parseBlock = (open) => {
+      if (!["each", "if", "unless"].includes(open.name)) {
+        throw new Error(`Unknown block helper "#${open.name}"`);
+      }
+      const [path, asKeyword, alias] = open.args;
+      if (!path) throw new Error(`{{#${open.name}}} needs an argument`);
+      const node = {
+        type: open.name,
+        path,
+        alias:
+          open.name === "each" && asKeyword === "as" && alias ? alias : "item",
+        children: parseNodes(open.name),
+        inverse: [],
+      };
+      if (tokens[pos]?.type === "else") {
+        pos++;
+        node.inverse = parseNodes(open.name);
+      }
+      const close = tokens[pos];
+      if (!close || close.type !== "close" || close.name !== open.name) {
+        throw new Error(`Missing {{/${open.name}}}`);
+      }
+      pos++;
+      return node;
+    };
+
+    return parseNodes(null);
+  };
+
+  const lookup = (scopes, path) => {
+    if (path === "this" || path === ".") return scopes[scopes.length - 1].this;
+    const [head, ...rest] = path.split(".");
+    let value;
+    let found = false;
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const scope = scopes[i];
+      if (scope && Object.prototype.hasOwnProperty.call(scope, head)) {
+        value = scope[head];
+        found = true;
+        break;
+      }
+      const self = scope?.this;
+      if (
+        self &&
+        typeof self === "object" &&
+        Object.prototype.hasOwnProperty.call(self, head)
+      ) {
+        value = self[head];
+        found = true;
+        break;
+      }
+    }
+    if (!found) return undefined;
+    for (const key of rest) {
+      if (value == null) return undefined;
+      value = value[key];
+    }
+    return value;
+  };
+
+  const isTruthy = (v) => (Array.isArray(v) ? v.length > 0 : !!v);
+
+  const stringify = (v) => {
+    if (v == null || v === false) return "";
+    if (Array.isArray(v)) return v.map(stringify).join(", ");
+    if (typeof v === "object") return JSON.stringify(v);
+    return String(v);
+  };
+
+  const renderNodes = (nodes, scopes) =>
+    nodes
+      .map((node) => {
+        switch (node.type) {
+          case "text":
+            return node.value;
+          case "var":
+            return stringify(lookup(scopes, node.path));
+          case "if":
+          case "unless": {
+            const truthy = isTruthy(lookup(scopes, node.path));
+            const branch =
+              truthy === (node.type === "if") ? node.children : node.inverse;
+            return renderNodes(branch, scopes);
+          }
+          case "each": {
+            const list = lookup(scopes, node.path);
+            if (!Array.isArray(list) || list.length === 0) {
+              return renderNodes(node.inverse, scopes);
+            }
+            return list
+              .map((entry, i) =>
+                renderNodes(node.children, [
+                  ...scopes,
+                  {
+                    [node.alias]: entry,
+                    this: entry,
+                    "@index": i,
+                    "@number": i + 1,
+                    "@first": i === 0,
+                    "@last": i === list.length - 1,
+                  },
+                ]),
+              )
+              .join("");
+          }
+          default:
+            return "";
+        }
+      })
+      .join("");
+
+  /**
+   * Compile a template body once and return a render(context) function.
+   * Throws an Error with a readable message when the template is malformed.
+   */
+  const compile = (body) => {
+    const ast = parse(tokenize(String(body || "")));
+    return (context) => renderNodes(ast, [{ ...context, this: context }]);
+  };
+
+  const render = (body, context) => compile(body)(context);
+
+  // --------------------- Prompt context ---------------------
+
+  const linesLabelFor = (s) =>
+    s.lineStart && s.lineEnd
+      ? s.lineStart === s.lineEnd
+        ? `L${s.lineStart}`
+        : `L${s.lineStart}-L${s.lineEnd}`
+      : null;
+
+  // "resolved, outdated" style label for a suggestion's thread, or null
+  const threadStateLabel = (s) =>
+    [s.thread?.resolved && "resolved", s.thread?.outdated && "outdated"]
+      .filter(Boolean)
+      .join(", ") || null;
+
+  // A backtick fence longer than any backtick run inside `text`
+  const fenceFor = (text) => {
+    const longest = Math.max(
+      0,
+      ...(text.match(/`+/g) || []).map((run) => run.length),
+    );
+    return "`".repeat(Math.max(3, longest + 1));
+  };
+
+  /**
+   * Fenced, line-numbered excerpt of a file's `text` covering lineStart–lineEnd
+   * (1-based) plus `contextLines` on either side; commented lines start with ">".
+   * Resolves to { startLine, endLine, excerpt }, or null when the range is not in the file.
+   */
+  const fileExcerpt = (text, { lineStart, lineEnd, contextLines = 0 }) => {
+    const lines = String(text).replace(/\r\n/g, "\n").split("\n");
+    if (lines.length > 1 && lines[lines.length - 1] === "") lines.pop();
+    const start = lineStart || lineEnd;
+    if (!lineEnd || start < 1 || start > lineEnd || lineEnd > lines.length) {
+      return null;
+    }
+    const startLine = Math.max(1, start - contextLines);
+    const endLine = Math.min(lines.length, lineEnd + contextLines);
+    const width = String(endLine).length;
+    const body = [];
+    for (let n = startLine; n <= endLine; n++) {
+      const mark = n >= start && n <= lineEnd ? ">" : " ";
+      body.push(`${mark} ${String(n).padStart(width)} | ${lines[n - 1]}`);
+    }
+    const fence = fenceFor(body.join("\n"));
+    return {
+      startLine,
+      endLine,
+      excerpt: [fence, ...body, fence].join("\n"),
+    };
+  };
+
+  const toPromptItem = (s, idx, options) => {
+    const linesLabel = linesLabelFor(s);
+    // Comments on the left side of the diff point at lines the PR removed
+    const linesNote =
+      linesLabel && s.side === "LEFT"
+        ? `${linesLabel}, old side of the diff: lines the change removes`
+        : linesLabel;
+    const fileLine =
+      s.filePath || linesLabel
+        ? `File: ${s.filePath || "unknown"}${linesNote ? ` (${linesNote})` : ""}`
+        : null;
+
+    let suggestionBlock = null;
+    if (s.origin === "user") {
+      // Custom items: the instruction itself, when the summary had to shorten it
+      suggestionBlock = s.text !== s.summary ? `Instruction:\n${s.text}` : null;
+    } else if (s.suggestedChange) {
+      suggestionBlock = s.suggestedChange.trim().startsWith("Suggested")
+        ? s.suggestedChange
+        : `Suggested change:\n${s.suggestedChange}`;
+    } else if (s.text && s.text !== s.summary && s.text !== s.reviewText) {
+      suggestionBlock = s.text.trim().startsWith("Suggested")
+        ? s.text
+        : `Suggested change:\n${s.text}`;
+    }
+
+    // Human replies in the thread, passed to the model as constraints
+    const followUps = options.includeFollowUps
+      ? (s.thread?.replies || [])
+          .filter((r) => !r.isCopilot && r.text)
+          .map((r) => ({ ...r, author: r.author || "reviewer" }))
+      : [];
+
+    return {
+      ...s,
+      number: idx + 1,
+      linesLabel,
+      fileLine,
+      commitShort: s.commitId ? s.commitId.slice(0, 7) : null,
+      suggestionBlock,
+      isCustom: s.origin === "user",
+      threadState: threadStateLabel(s),
+      followUps,
+    };
+  };
+
+  /**
+   * Build the object templates are rendered against.
+   * Exposes `header`, `pr.url`, `count`, `orderedBySeverity`, `part` and `items` (suggestions, with
+   * the panel's `reviewerNote` / `handEdited` when the user annotated them, plus
+   * derived `number`, `linesLabel`, `fileLine`, `commitShort`, `suggestionBlock`,
+   * `isCustom`, `threadState` and `followUps` fields).
+   * Options: { header } – the prompt's first line (DEFAULT_PROMPT_HEADER when empty);
+   * { includeFollowUps } – include human thread replies as `item.followUps`;
+   * { orderedBySeverity } – tell the template the items were sorted by severity;
+   * { part: { number, total } } – this prompt is one part of a split selection (tokens.js).
+   */
+  const buildPromptContext = (prUrl, items, options = {}) => ({
+    header: (options.header || "").trim() || DEFAULT_PROMPT_HEADER,
+    pr: { url: prUrl || "" },
+    count: items.length,
+    orderedBySeverity: !!options.orderedBySeverity,
+    part: options.part || null,
+    items: items.map((s, idx) => toPromptItem(s, idx, options)),
+  });
+
+  const renderPrompt = (body, prUrl, items, options) =>
+    render(body, buildPromptContext(prUrl, items, options));
+
+  // --------------------- Storage ---------------------
+
+  const hasStorage = () =>
+    typeof chrome !== "undefined" && !!chrome.storage?.local;
+
+  const sanitizeUserTemplates = (arr) =>
+    (Array.isArray(arr) ? arr : [])
+      .filter(
+        (t) => t && typeof t.id === "string" && typeof t.body === "string",
+      )
+      .map((t) => ({
+        id: t.id,
+        name: String(t.name || "Untitled template"),
+        body: t.body,
+        builtin: false,
+      }));
+
+  /** Resolve with { templates, activeId } where templates = built-ins + user templates. */
+  const loadTemplates = async () => {
+    let user = [];
+    let activeId = DEFAULT_TEMPLATE_ID;
+    if (hasStorage()) {
+      try {
+        const data = await chrome.storage.local.get([STORAGE_KEY, ACTIVE_KEY]);
+        user = sanitizeUserTemplates(data[STORAGE_KEY]);
+        if (typeof data[ACTIVE_KEY] === "string") activeId = data[ACTIVE_KEY];
+      } catch {
+        // fall back to built-ins
+      }
+    }
+    const templates = [...BUILTIN_TEMPLATES, ...user];
+    if (!templates.some((t) => t.id === activeId)) {
+      activeId = DEFAULT_TEMPLATE_ID;
+    }
+    return { templates, activeId };
+  };
+
+  const saveUserTemplates = async (list) => {
+    if (!hasStorage()) return;
+    await chrome.storage.local.set({
+      [STORAGE_KEY]: sanitizeUserTemplates(list),
+    });
+  };
+
+  const setActiveTemplateId = async (id) => {
+    if (!hasStorage()) return;
+    await chrome.storage.local.set({ [ACTIVE_KEY]: id });
+  };
+
+  const getTemplate = (templates, id) =>
+    templates.find((t) => t.id === id) ||
+    BUILTIN_TEMPLATES.find((t) => t.id === DEFAULT_TEMPLATE_ID);
+
+  /** Call cb() whenever templates or the active template change in storage. */
+  const onTemplatesChanged = (cb) => {
+    if (!hasStorage() || !chrome.storage.onChanged) return;
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== "local") return;
+      if (changes[STORAGE_KEY] || changes[ACTIVE_KEY]) cb();
+    });
+  };
+
+  globalThis.CRTPTemplates = {
+    DEFAULT_TEMPLATE_ID,
+    DEFAULT_PROMPT_HEADER,
+    BUILTIN_TEMPLATES,
+    compile,
+    render,
+    buildPromptContext,
+    renderPrompt,
+    linesLabelFor,
+    threadStateLabel,
+    fileExcerpt,
+    loadTemplates,
+    saveUserTemplates,
+    setActiveTemplateId,
+    getTemplate,
+    onTemplatesChanged,
+  };
+})();
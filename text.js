@@ -0,0 +1,39 @@
+/* text.js
+ * Suggestion ids and summaries shared by the page extractor (content.js) and the
+ * API mapping (github-api.js), so both produce the same `<anchor>:<fingerprint>`
+ * ids and the same summary for the same comment.
+ */
+
+(() => {
+  "use strict";
+
+  /** Simple 32-bit FNV-1a hash of `str`, unsigned and base36 for compactness. */
+  const hashString = (str) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h += (h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24);
+    }
+    return (h >>> 0).toString(36);
+  };
+
+  /**
+   * One-line summary of `text`, at most `maxLen` characters (settings.summaryMaxLength),
+   * cut at the first sentence end when there is one.
+   */
+  const summarize = (text, maxLen = 140) => {
+    const limit = Math.max(20, Number(maxLen) || 140);
+    const t = text.replace(/\s+/g, " ").trim();
+    if (t.length <= limit) return t;
+    // Prefer sentence boundary
+    const sentenceEnd = t.indexOf(".", Math.min(60, limit / 2));
+    if (sentenceEnd > 0 && sentenceEnd < limit)
+      return t.slice(0, sentenceEnd + 1);
+    return t.slice(0, limit - 1) + "…";
+  };
+
+  globalThis.CRTPText = {
+    hashString,
+    summarize,
+  };
+})();
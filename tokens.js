@@ -0,0 +1,125 @@
+/* tokens.js
+ * Token budgeting for Copy Prompt: rough estimates per model profile and splitting
+ * a selection into several prompts that each fit the budget.
+ * - No tokenizer is bundled; estimates are characters / the profile's charsPerToken.
+ * - Profiles ({ id, name, contextTokens, reserveTokens, charsPerToken }) are edited in
+ *   the options page and stored in CRTPSettings (tokenProfiles, tokenProfileId).
+ */
+
+(() => {
+  "use strict";
+
+  const PROFILES = [
+    {
+      id: "gpt-4o",
+      name: "GPT-4o (128k)",
+      contextTokens: 128000,
+      reserveTokens: 16000,
+      charsPerToken: 4,
+    },
+    {
+      id: "claude",
+      name: "Claude (200k)",
+      contextTokens: 200000,
+      reserveTokens: 8000,
+      charsPerToken: 3.5,
+    },
+    {
+      id: "local-8k",
+      name: "Local model (8k)",
+      contextTokens: 8192,
+      reserveTokens: 2048,
+      charsPerToken: 3.5,
+    },
+  ];
+
+  /** Valid profiles from stored data; falls back to PROFILES when none are usable. */
+  const sanitizeProfiles = (list) => {
+    const out = (Array.isArray(list) ? list : [])
+      .filter(
+        (p) =>
+          p &&
+          typeof p.id === "string" &&
+          p.id &&
+          Number(p.contextTokens) > 0 &&
+          Number(p.charsPerToken) > 0,
+      )
+      .map((p) => ({
+        id: p.id,
+        name: String(p.name || p.id),
+        contextTokens: Number(p.contextTokens),
+        reserveTokens: Math.max(0, Number(p.reserveTokens) || 0),
+        charsPerToken: Number(p.charsPerToken),
+      }));
+    return out.length ? out : PROFILES.map((p) => ({ ...p }));
+  };
+
+  /** The profile with `id`, or the first one. */
+  const profileFor = (profiles, id) =>
+    profiles.find((p) => p.id === id) || profiles[0];
+
+  /** Tokens available for the prompt: the context window minus the reserve for the reply. */
+  const budgetOf = (profile) =>
+    Math.max(0, profile.contextTokens - profile.reserveTokens);
+
+  const estimate = (text, profile) =>
+    Math.ceil(String(text || "").length / profile.charsPerToken);
+
+  /**
+   * Partition `items` into parts whose prompt fits `budget` tokens. A prompt's size
+   * is `base` (the shared header and instructions) plus `sizeOf(item)` for each item
+   * it holds, so each item is measured once by the caller and packing is linear.
+   * Items are grouped by filePath in order of first appearance and a file's items
+   * stay in one part; only a file that does not fit on its own is spread over
+   * consecutive parts. An item over budget by itself still gets a part of its own.
+   */
+  const split = (items, budget, { base = 0, sizeOf }) => {
+    const groups = new Map();
+    items.forEach((s) => {
+      const key = s.filePath || "";
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(s);
+    });
+
+    const parts = [];
+    let current = [];
+    let used = 0;
+    const fits = (extra) => Math.ceil(base + used + extra) <= budget;
+    const flush = () => {
+      if (current.length) parts.push(current);
+      current = [];
+      used = 0;
+    };
+    groups.forEach((group) => {
+      const sizes = group.map(sizeOf);
+      const total = sizes.reduce((a, b) => a + b, 0);
+      if (fits(total)) {
+        current.push(...group);
+        used += total;
+        return;
+      }
+      flush();
+      if (fits(total)) {
+        current = [...group];
+        used = total;
+        return;
+      }
+      group.forEach((s, i) => {
+        if (current.length && !fits(sizes[i])) flush();
+        current.push(s);
+        used += sizes[i];
+      });
+    });
+    flush();
+    return parts;
+  };
+
+  globalThis.CRTPTokens = {
+    PROFILES,
+    sanitizeProfiles,
+    profileFor,
+    budgetOf,
+    estimate,
+    split,
+  };
+})();
@@ -0,0 +1,251 @@
+/* tools/check-github-api.js
+ * Fixture checks for github-api.js: runs createClient() against the mock API
+ * (mock-github-api.js) through its fetchImpl hook, then maps the result with
+ * commentsToSuggestions(). No network and no dependencies:
+ *   node tools/check-github-api.js
+ */
+
+"use strict";
+
+const assert = require("assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { FIXTURE, respond } = require("./mock-github-api.js");
+
+// Browser scripts that set globalThis.CRTPText / CRTPGitHubApi; text.js holds the
+// id hash and summarize() content.js passes to commentsToSuggestions()
+["text.js", "github-api.js"].forEach((name) => {
+  const file = path.join(__dirname, "..", name);
+  vm.runInThisContext(fs.readFileSync(file, "utf8"), { filename: file });
+});
+const api = globalThis.CRTPGitHubApi;
+const { hashString } = globalThis.CRTPText;
+const summarize = (text) => globalThis.CRTPText.summarize(text, 140);
+
+// fetch() stand-in answering from the mock; records every request
+const calls = [];
+const fetchImpl = async (url, init = {}) => {
+  calls.push({ url, method: init.method || "GET" });
+  const out = respond(
+    init.method || "GET",
+    url,
+    init.body,
+    init.headers?.Authorization,
+  );
+  return {
+    ok: out.status >= 200 && out.status < 300,
+    status: out.status,
+    headers: { get: (name) => out.headers[name.toLowerCase()] ?? null },
+    json: async () => JSON.parse(out.body),
+    text: async () => out.body,
+  };
+};
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+const { owner, repo, number } = FIXTURE;
+
+check("review comments follow Link pagination", async () => {
+  calls.length = 0;
+  const client = api.createClient({ baseUrl: "http://mock.test", fetchImpl });
+  const comments = await client.listReviewComments(owner, repo, number);
+  assert.deepEqual(
+    comments.map((c) => c.id),
+    [101, 102, 103],
+  );
+  assert.equal(calls.length, 2);
+  assert.match(calls[1].url, /[?&]page=2\b/);
+});
+
+check("GraphQL thread resolution is paginated and needs a token", async () => {
+  calls.length = 0;
+  const client = api.createClient({
+    baseUrl: "http://mock.test",
+    token: "t0ken",
+    fetchImpl,
+  });
+  const threads = await client.listReviewThreads(owner, repo, number);
+  assert.deepEqual(threads, FIXTURE.threads);
+  assert.equal(calls.length, 2);
+  assert.equal(calls[0].url, "http://mock.test/graphql");
+
+  const anonymous = api.createClient({
+    baseUrl: "http://mock.test",
+    fetchImpl,
+  });
+  await assert.rejects(anonymous.listReviewThreads(owner, repo, number), {
+    status: 401,
+  });
+});
+
+check("Enterprise base URLs use /api/v3 and /api/graphql", async () => {
+  calls.length = 0;
+  const client = api.createClient({
+    baseUrl: api.apiBaseForHost("git.corp.example"),
+    token: "t0ken",
+    fetchImpl,
+  });
+  assert.equal(client.baseUrl, "https://git.corp.example/api/v3");
+  await client.listReviewThreads(owner, repo, number);
+  assert.equal(calls[0].url, "https://git.corp.example/api/graphql");
+  const pull = await client.getPullRequest(owner, repo, number);
+  assert.equal(pull.head.sha, FIXTURE.headSha);
+  assert.equal(
+    await client.getFileText(owner, repo, "src/list.js", FIXTURE.headSha),
+    FIXTURE.files["src/list.js"],
+  );
+});
+
+check("errors carry the HTTP status", async () => {
+  const client = api.createClient({ baseUrl: "http://mock.test", fetchImpl });
+  await assert.rejects(client.getPullRequest(owner, repo, 999), {
+    status: 404,
+    message: "GitHub API 404: Not Found",
+  });
+});
+
+check("suggestions get r<id>:<i>:<hash> ids and thread state", async () => {
+  const client = api.createClient({
+    baseUrl: "http://mock.test",
+    token: "t0ken",
+    fetchImpl,
+  });
+  const comments = await client.listReviewComments(owner, repo, number);
+  const threads = await client.listReviewThreads(owner, repo, number);
+  const items = api.commentsToSuggestions(
+    comments,
+    { summarize, hashString },
+    threads,
+  );
+
+  // The human reply joins Copilot's thread instead of becoming a suggestion
+  assert.deepEqual(
+    items.map((s) => s.anchor),
+    ["r101:0", "r101:1", "r101:2", "r103:0"],
+  );
+  // Pinned, so a change to text.js that would orphan saved selections fails here
+  assert.deepEqual(
+    items.map((s) => s.id),
+    ["r101:0:1bfa2c9", "r101:1:ximf2q", "r101:2:1452hql", "r103:0:1s4jn9l"],
+  );
+  assert.equal(
+    items[0].summary,
+    "Consider: - Use a clearer name for b - Group the constants",
+  );
+  items.forEach((s) => {
+    assert.match(s.id, /^r\d+:\d+:[0-9a-z]+$/);
+    assert.equal(s.id, `${s.anchor}:${hashString(s.text)}`);
+    assert.equal(s.fingerprint, hashString(s.text));
+  });
+
+  const [first, , change, outdated] = items;
+  assert.equal(first.text, "Use a clearer name for b");
+  assert.equal(first.thread.resolved, true);
+  assert.deepEqual(
+    first.thread.replies.map((r) => r.author),
+    ["octocat"],
+  );
+  assert.deepEqual(first.thread.reactions, { "+1": 1 });
+  assert.deepEqual(
+    [first.filePath, first.lineStart, first.lineEnd, first.side],
+    ["src/list.js", 10, 12, "RIGHT"],
+  );
+  assert.deepEqual(change.replacement.oldLines, [
+    "const a = 1;",
+    "const b = 2;",
+    "const c = 3;",
+  ]);
+  assert.deepEqual(change.replacement.newLines, [
+    "const a = 1;",
+    "const total = 2;",
+    "const c = 3;",
+  ]);
+
+  assert.equal(outdated.thread.outdated, true);
+  assert.equal(outdated.lineStart, 5);
+  assert.equal(outdated.commitId, FIXTURE.comments[2].original_commit_id);
+});
+
+check("CRLF comment bodies give the same lines as LF ones", async () => {
+  assert.deepEqual(
+    api.parseSuggestionBlocks(
+      "Fix:\r\n```suggestion\r\nconst a = 1;\r\n```\r\n",
+    ),
+    ["const a = 1;"],
+  );
+  const comment = (body) => ({
+    id: 7,
+    body,
+    path: "src/list.js",
+    line: 2,
+    side: "RIGHT",
+    diff_hunk: "@@ -1,2 +1,2 @@\n let a = 0;\n-let b = 1;\n+let b = 2;",
+    user: { login: "Copilot" },
+  });
+  const [crlf] = api.commentsToSuggestions(
+    [comment("Tidy up:\r\n```suggestion\r\nconst b = 2;\r\n```\r\n")],
+    { summarize, hashString },
+  );
+  const [lf] = api.commentsToSuggestions(
+    [comment("Tidy up:\n```suggestion\nconst b = 2;\n```\n")],
+    { summarize, hashString },
+  );
+  assert.deepEqual(crlf.replacement.newLines, ["const b = 2;"]);
+  assert.equal(crlf.text, lf.text);
+  assert.equal(crlf.id, lf.id);
+});
+
+check("the hunk side picks the commented lines", async () => {
+  const hunk =
+    "@@ -1,3 +1,3 @@\n let a = 0;\n-let b = 1;\n+let b = 2;\n let c = 3;";
+  assert.deepEqual(api.hunkTail(hunk, 2, "RIGHT"), [
+    "let b = 2;",
+    "let c = 3;",
+  ]);
+  assert.deepEqual(api.hunkTail(hunk, 2, "LEFT"), ["let b = 1;", "let c = 3;"]);
+  const [left] = api.commentsToSuggestions(
+    [
+      {
+        id: 8,
+        body: "Why was this removed?",
+        path: "src/list.js",
+        line: 2,
+        side: "LEFT",
+        diff_hunk: "@@ -1,2 +1,2 @@\n let a = 0;\n-let b = 1;\n+let b = 2;",
+        user: { login: "Copilot" },
+      },
+    ],
+    { summarize, hashString },
+  );
+  assert.equal(left.codeMentioned, "let b = 1;");
+  assert.equal(left.oldLineStart, 2);
+});
+
+check("ids are stable across fetches", async () => {
+  const client = api.createClient({ baseUrl: "http://mock.test", fetchImpl });
+  const ids = async () =>
+    api
+      .commentsToSuggestions(
+        await client.listReviewComments(owner, repo, number),
+        { summarize, hashString },
+      )
+      .map((s) => s.id);
+  assert.deepEqual(await ids(), await ids());
+});
+
+(async () => {
+  let failed = 0;
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`ok - ${name}`);
+    } catch (e) {
+      failed++;
+      console.log(`not ok - ${name}\n  ${e.message.split("\n").join("\n  ")}`);
+    }
+  }
+  console.log(`${checks.length - failed}/${checks.length} checks passed`);
+  process.exitCode = failed ? 1 : 0;
+})();
@@ -0,0 +1,204 @@
+/* tools/mock-github-api.js
+ * Minimal GitHub API for trying the API extractor without github.com.
+ * - Serves one pull request (octo-org/octo-repo#42) from FIXTURE: review comments
+ *   two per page with Link headers, GraphQL review threads (also paginated, token
+ *   required), the PR head, file contents and /rate_limit.
+ * - Answers under / (github.com layout) and /api/v3 + /api/graphql (Enterprise layout).
+ * - `node tools/mock-github-api.js [port]` listens on http://localhost:8787 by default;
+ *   set Options → API base URL to that address. check-github-api.js uses respond()
+ *   directly through createClient's fetchImpl hook.
+ */
+
+"use strict";
+
+const http = require("http");
+
+const PAGE_SIZE = 2;
+
+const FIXTURE = {
+  owner: "octo-org",
+  repo: "octo-repo",
+  number: 42,
+  headSha: "0123456789abcdef0123456789abcdef01234567",
+  files: {
+    "src/list.js": "const a = 1;\nconst b = 2;\nconst c = 3;\n",
+  },
+  comments: [
+    {
+      id: 101,
+      user: { login: "Copilot" },
+      path: "src/list.js",
+      start_line: 10,
+      line: 12,
+      side: "RIGHT",
+      commit_id: "0123456789abcdef0123456789abcdef01234567",
+      original_commit_id: "0123456789abcdef0123456789abcdef01234567",
+      diff_hunk:
+        "@@ -8,2 +8,5 @@ export default\n context\n+const a = 1;\n+const b = 2;\n+const c = 3;",
+      body: [
+        "Consider:",
+        "- Use a clearer name for b",
+        "- Group the constants",
+        "",
+        "```suggestion",
+        "const a = 1;",
+        "const total = 2;",
+        "const c = 3;",
+        "```",
+      ].join("\n"),
+      html_url: "https://github.com/octo-org/octo-repo/pull/42#discussion_r101",
+      reactions: { total_count: 1, "+1": 1, laugh: 0 },
+    },
+    {
+      id: 102,
+      in_reply_to_id: 101,
+      user: { login: "octocat" },
+      path: "src/list.js",
+      line: 12,
+      body: "Only rename it, keep the grouping.",
+      html_url: "https://github.com/octo-org/octo-repo/pull/42#discussion_r102",
+    },
+    {
+      id: 103,
+      user: { login: "Copilot" },
+      path: "src/old.js",
+      line: null,
+      original_line: 5,
+      side: "RIGHT",
+      commit_id: "89abcdef0123456789abcdef0123456789abcdef",
+      original_commit_id: "fedcba9876543210fedcba9876543210fedcba98",
+      diff_hunk: "@@ -3,2 +3,3 @@\n context\n+let x = 1;",
+      body: "```suggestion\nconst x = 1;\n```",
+      html_url: "https://github.com/octo-org/octo-repo/pull/42#discussion_r103",
+    },
+  ],
+  // GraphQL review threads, keyed by their first comment's database id
+  threads: [
+    { rootCommentId: 101, isResolved: true, isOutdated: false },
+    { rootCommentId: 103, isResolved: false, isOutdated: true },
+  ],
+};
+
+const json = (status, data, headers = {}) => ({
+  status,
+  headers: { "content-type": "application/json", ...headers },
+  body: JSON.stringify(data),
+});
+
+const notFound = () => json(404, { message: "Not Found" });
+
+const page = (list, url) => {
+  const n = Math.max(1, parseInt(url.searchParams.get("page"), 10) || 1);
+  const start = (n - 1) * PAGE_SIZE;
+  const headers = {};
+  if (start + PAGE_SIZE < list.length) {
+    const next = new URL(url);
+    next.searchParams.set("page", String(n + 1));
+    headers.link = `<${next}>; rel="next"`;
+  }
+  return json(200, list.slice(start, start + PAGE_SIZE), headers);
+};
+
+const graphql = (body, authorization) => {
+  if (!/^Bearer \S+/.test(authorization || "")) {
+    return json(401, { message: "Requires authentication" });
+  }
+  const { variables = {} } = JSON.parse(body || "{}");
+  if (
+    variables.owner !== FIXTURE.owner ||
+    variables.repo !== FIXTURE.repo ||
+    variables.number !== FIXTURE.number
+  ) {
+    return json(200, { data: { repository: null } });
+  }
+  const start = variables.cursor ? parseInt(variables.cursor, 10) : 0;
+  const nodes = FIXTURE.threads.slice(start, start + 1).map((t) => ({
+    isResolved: t.isResolved,
+    isOutdated: t.isOutdated,
+    comments: { nodes: [{ databaseId: t.rootCommentId }] },
+  }));
+  const hasNextPage = start + 1 < FIXTURE.threads.length;
+  return json(200, {
+    data: {
+      repository: {
+        pullRequest: {
+          reviewThreads: {
+            pageInfo: {
+              hasNextPage,
+              endCursor: hasNextPage ? String(start + 1) : null,
+            },
+            nodes,
+          },
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Response ({ status, headers, body }) for one request. `url` is absolute; its
+ * origin is used for Link headers.
+ */
+const respond = (method, url, body, authorization) => {
+  const u = new URL(url);
+  const path = u.pathname.replace(/^\/api\/v3(?=\/)/, "");
+  if (method === "POST" && /^\/(api\/)?graphql$/.test(path)) {
+    return graphql(body, authorization);
+  }
+  if (method !== "GET") return json(405, { message: "Method not allowed" });
+  if (path === "/rate_limit") {
+    return json(200, {
+      resources: { core: { limit: 5000, remaining: 4999 } },
+    });
+  }
+  const prefix = `/repos/${FIXTURE.owner}/${FIXTURE.repo}`;
+  if (path === `${prefix}/pulls/${FIXTURE.number}/comments`) {
+    return page(FIXTURE.comments, u);
+  }
+  if (path === `${prefix}/pulls/${FIXTURE.number}`) {
+    return json(200, {
+      number: FIXTURE.number,
+      head: { sha: FIXTURE.headSha },
+    });
+  }
+  if (path.startsWith(`${prefix}/contents/`)) {
+    const file = decodeURIComponent(path.slice(prefix.length + 10));
+    const text = FIXTURE.files[file];
+    if (text == null || u.searchParams.get("ref") !== FIXTURE.headSha) {
+      return notFound();
+    }
+    return {
+      status: 200,
+      headers: { "content-type": "text/plain" },
+      body: text,
+    };
+  }
+  return notFound();
+};
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || 8787;
+  http
+    .createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const out = respond(
+          req.method,
+          `http://${req.headers.host}${req.url}`,
+          body,
+          req.headers.authorization,
+        );
+        res.writeHead(out.status, {
+          ...out.headers,
+          "access-control-allow-origin": "*",
+        });
+        res.end(out.body);
+      });
+    })
+    .listen(port, () =>
+      console.log(`Mock GitHub API on http://localhost:${port}`),
+    );
+}
+
+module.exports = { FIXTURE, respond };
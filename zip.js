@@ -0,0 +1,110 @@
+/* zip.js
+ * Tiny store-only (uncompressed) ZIP writer for the download bundle.
+ * Review exports are small text files, so skipping deflate keeps this dependency-free.
+ */
+
+(() => {
+  "use strict";
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  };
+
+  // MS-DOS date/time fields used by ZIP headers
+  const dosDateTime = (date) => ({
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((Math.max(1980, date.getFullYear()) - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  });
+
+  /**
+   * Build a ZIP archive from [{ path, text }] and return its bytes (Uint8Array).
+   * Paths use "/" separators; text is stored as UTF-8.
+   */
+  const createZip = (files, date = new Date()) => {
+    const encoder = new TextEncoder();
+    const { time, date: day } = dosDateTime(date);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    files.forEach(({ path, text }) => {
+      const name = encoder.encode(path);
+      const data = encoder.encode(text);
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // version needed
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, day, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      locals.push(new Uint8Array(local.buffer), name, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true); // version made by
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, day, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      // extra, comment, disk, internal/external attributes stay 0
+      central.setUint32(42, offset, true);
+      centrals.push(new Uint8Array(central.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centrals.reduce((n, part) => n + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(offset + centralSize + 22);
+    let pos = 0;
+    parts.forEach((part) => {
+      out.set(part, pos);
+      pos += part.length;
+    });
+    return out;
+  };
+
+  globalThis.CRTPZip = {
+    crc32,
+    createZip,
+  };
+})();